@@ -7,12 +7,21 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 let db = null;
+let opening = null;
 
-export async function getDb() {
-  if (db) {
-    return db;
+// Callers racing at startup share one open; the migrations below must not
+// run twice
+export function getDb() {
+  if (!opening) {
+    opening = openDb().catch((err) => {
+      opening = null;
+      throw err;
+    });
   }
+  return opening;
+}
 
+async function openDb() {
   const dbPath = path.join(__dirname, 'netvu.db');
   
   db = await open({
@@ -35,11 +44,23 @@ export async function getDb() {
       max_cameras INTEGER DEFAULT 16,
       username TEXT DEFAULT NULL,      
       password TEXT DEFAULT NULL,
+      max_live_streams INTEGER DEFAULT NULL,
+      max_replay_streams INTEGER DEFAULT NULL,
+      max_streams_per_camera INTEGER DEFAULT NULL,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `);
 
+  // Stream quota overrides (NULL = device type default) were added later;
+  // bring databases created before them up to date
+  const deviceColumns = (await db.all('PRAGMA table_info(devices)')).map((c) => c.name);
+  for (const column of ['max_live_streams', 'max_replay_streams', 'max_streams_per_camera']) {
+    if (!deviceColumns.includes(column)) {
+      await db.exec(`ALTER TABLE devices ADD COLUMN ${column} INTEGER DEFAULT NULL`);
+    }
+  }
+
   await db.exec(`
     CREATE TABLE IF NOT EXISTS events (
       id INTEGER NOT NULL,
@@ -56,6 +77,81 @@ export async function getDb() {
     )
   `);
 
+  // Clips recorded from running streams (src/services/clipRecorder.js)
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS clips (
+      id TEXT PRIMARY KEY,
+      stream_id TEXT NOT NULL,
+      stream_type TEXT NOT NULL,
+      device TEXT,
+      cam INTEGER,
+      label TEXT,
+      file_name TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'recording',
+      started_at INTEGER NOT NULL,
+      ended_at INTEGER,
+      recorded_start REAL,
+      recorded_end REAL,
+      frames INTEGER DEFAULT 0,
+      size_bytes INTEGER,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Vpart listings cached from vparts.cgi (src/services/vpartIndex.js).
+  // vpart_windows are the time ranges whose listing is known to be whole
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS vparts (
+      device_url TEXT NOT NULL,
+      cam INTEGER NOT NULL,
+      path TEXT NOT NULL,
+      start_time INTEGER NOT NULL,
+      end_time INTEGER NOT NULL,
+      seen_at INTEGER NOT NULL,
+      size_bytes INTEGER DEFAULT NULL,
+      PRIMARY KEY (device_url, cam, path)
+    )
+  `);
+
+  // Measured PAR sizes were added after the vparts cache
+  const vpartColumns = (await db.all('PRAGMA table_info(vparts)')).map((c) => c.name);
+  if (!vpartColumns.includes('size_bytes')) {
+    await db.exec('ALTER TABLE vparts ADD COLUMN size_bytes INTEGER DEFAULT NULL');
+  }
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS vpart_windows (
+      device_url TEXT NOT NULL,
+      cam INTEGER NOT NULL,
+      start_time INTEGER NOT NULL,
+      end_time INTEGER NOT NULL,
+      fetched_at INTEGER NOT NULL
+    )
+  `);
+
+  // Wall-clock time of every FFmpeg conversion (src/services/conversionHistory.js)
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS conversion_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      device_url TEXT,
+      codec TEXT,
+      label TEXT NOT NULL,
+      kind TEXT,
+      ok INTEGER NOT NULL,
+      input_bytes INTEGER,
+      media_seconds REAL,
+      wall_ms INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Runs were recorded without their kind at first
+  const runColumns = (await db.all('PRAGMA table_info(conversion_runs)')).map((c) => c.name);
+  if (!runColumns.includes('kind')) {
+    await db.exec('ALTER TABLE conversion_runs ADD COLUMN kind TEXT');
+  }
+
   // Create indexes
   await db.exec(`
     CREATE INDEX IF NOT EXISTS idx_events_device_cam_time 
@@ -67,6 +163,16 @@ export async function getDb() {
     ON events(time DESC)
   `);
 
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_vparts_device_cam_start
+    ON vparts(device_url, cam, start_time)
+  `);
+
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_vpart_windows_device_cam
+    ON vpart_windows(device_url, cam, start_time)
+  `);
+
   console.log('[Database] Tables and indexes created successfully');
 
   return db;
@@ -76,6 +182,7 @@ export async function closeDb() {
   if (db) {
     await db.close();
     db = null;
+    opening = null;
     console.log('[Database] Connection closed');
   }
 }
@@ -3,17 +3,66 @@ import cors from "cors";
 
 import { getDb } from "./db.js";
 import StreamManager from "./src/services/streamManager.js";
+import HlsPackager from "./src/services/hlsPackager.js";
+import ThumbnailSprites from "./src/services/thumbnailSprites.js";
+import ReplaySessions from "./src/services/replaySessions.js";
+import MosaicComposer from "./src/services/mosaicComposer.js";
+import LiveRemuxer from "./src/services/liveRemuxer.js";
+import ClipRecorder from "./src/services/clipRecorder.js";
+import DeviceMonitor from "./src/services/deviceMonitor.js";
+import ExportJobs from "./src/services/exportJobs.js";
+import PlaybackCache from "./src/services/playbackCache.js";
+import VpartIndex from "./src/services/vpartIndex.js";
+import EventClips from "./src/services/eventClips.js";
 import { checkFFmpegAvailable } from "./src/services/videoConverter.js";
+import { loadConversionHistory } from "./src/services/conversionHistory.js";
+import { deviceQuotaFor } from "./src/utils/deviceResolver.js";
 
+import devicesRouter from "./src/routes/devices.js";
 import camerasRouter from "./src/routes/cameras.js";
-import vpartsRouter from "./src/routes/vparts.js";
-import streamRouter, { setStreamManager } from "./src/routes/stream.js";
-import videoRouter from "./src/routes/video.js";
+import vpartsRouter, {
+  setThumbnailSprites,
+  setVpartIndex as setVpartsIndex,
+} from "./src/routes/vparts.js";
+import streamRouter, {
+  setStreamManager,
+  setHlsPackager,
+  setReplaySessions,
+  setMosaicComposer,
+  setLiveRemuxer,
+} from "./src/routes/stream.js";
+import { attachStreamSocket } from "./src/routes/streamSocket.js";
+import clipsRouter, { setClipRecorder } from "./src/routes/clips.js";
+import videoRouter, {
+  setExportJobs,
+  setPlaybackCache,
+  setVpartIndex as setVideoVpartIndex,
+} from "./src/routes/video.js";
 import diagnosticRouter from "./src/routes/diagnostic.js";
-import healthRouter from "./src/routes/health.js";
+import eventsRouter, { setEventClips } from "./src/routes/events.js";
+import healthRouter, { setDeviceMonitor } from "./src/routes/health.js";
+import eventStreamRouter, {
+  setEventSources,
+  closeEventStreams,
+} from "./src/routes/eventStream.js";
 
 const app = express();
-const streamManager = new StreamManager({ maxStreams: 100 });
+const streamManager = new StreamManager({
+  maxStreams: 100,
+  idleGracePeriod: 15000,
+  resolveQuota: deviceQuotaFor,
+});
+const hlsPackager = new HlsPackager(streamManager);
+const thumbnailSprites = new ThumbnailSprites(streamManager);
+const replaySessions = new ReplaySessions(streamManager);
+const mosaicComposer = new MosaicComposer(streamManager);
+const liveRemuxer = new LiveRemuxer(streamManager);
+const clipRecorder = new ClipRecorder(streamManager);
+const deviceMonitor = new DeviceMonitor();
+const exportJobs = new ExportJobs();
+const playbackCache = new PlaybackCache();
+const vpartIndex = new VpartIndex();
+const eventClips = new EventClips(vpartIndex);
 
 app.use(cors({ origin: "http://localhost:4200", credentials: true }));
 app.use(express.json());
@@ -25,15 +74,33 @@ app.use((req, res, next) => {
 streamManager.on("stream-started", ({ streamId, type, contentType }) => {
   console.log(`✓ Stream started: ${streamId} (${type}) - ${contentType}`);
 });
-streamManager.on("stream-stopped", ({ streamId, duration, stats }) => {
+streamManager.on("stream-stopped", ({ streamId, reason, duration, stats }) => {
   console.log(
-    `✗ Stream stopped: ${streamId} - Duration: ${(duration / 1000).toFixed(1)}s, Bytes: ${(stats.bytes / 1024 / 1024).toFixed(2)} MB`,
+    `✗ Stream stopped: ${streamId} (${reason}) - Duration: ${(duration / 1000).toFixed(1)}s, Bytes: ${(stats.bytes / 1024 / 1024).toFixed(2)} MB`,
   );
 });
 streamManager.on("stream-error", ({ streamId, error }) => {
   console.error(`⚠ Stream error: ${streamId} - ${error.message}`);
 });
+streamManager.on("stream-outage", ({ streamId, reason }) => {
+  console.warn(`↯ Stream outage: ${streamId} - ${reason}`);
+});
+streamManager.on("stream-reconnected", ({ streamId, attempts, outage }) => {
+  console.log(
+    `↻ Stream reconnected: ${streamId} - ${attempts} attempt(s), outage ${(outage / 1000).toFixed(1)}s`,
+  );
+});
 
+setDeviceMonitor(deviceMonitor);
+setExportJobs(exportJobs);
+setPlaybackCache(playbackCache);
+setVpartsIndex(vpartIndex);
+setVideoVpartIndex(vpartIndex);
+setEventClips(eventClips);
+setEventSources({ streamManager, deviceMonitor, exportJobs });
+app.use("/api", eventStreamRouter);
+app.use("/api", eventsRouter);
+app.use("/api", devicesRouter);
 app.use("/api", camerasRouter);
 app.use("/api", vpartsRouter);
 app.use("/api", healthRouter);
@@ -41,7 +108,14 @@ app.use("/api", videoRouter);
 app.use("/api", diagnosticRouter);
 
 setStreamManager(streamManager);
+setHlsPackager(hlsPackager);
+setReplaySessions(replaySessions);
+setMosaicComposer(mosaicComposer);
+setLiveRemuxer(liveRemuxer);
+setThumbnailSprites(thumbnailSprites);
+setClipRecorder(clipRecorder);
 app.use("/api", streamRouter);
+app.use("/api", clipsRouter);
 
 app.use((err, req, res, next) => {
   console.error("Unhandled error:", err);
@@ -51,20 +125,37 @@ app.use((err, req, res, next) => {
 });
 
 process.on("SIGINT", () => {
+  hlsPackager.cleanup();
+  replaySessions.cleanup();
+  mosaicComposer.cleanup();
+  liveRemuxer.cleanup();
+  clipRecorder.cleanup();
+  deviceMonitor.cleanup();
+  vpartIndex.cleanup();
+  closeEventStreams();
   streamManager.cleanup();
   setTimeout(() => process.exit(0), 1000);
 });
 process.on("SIGTERM", () => {
+  hlsPackager.cleanup();
+  replaySessions.cleanup();
+  mosaicComposer.cleanup();
+  liveRemuxer.cleanup();
+  clipRecorder.cleanup();
+  deviceMonitor.cleanup();
+  vpartIndex.cleanup();
+  closeEventStreams();
   streamManager.cleanup();
   setTimeout(() => process.exit(0), 1000);
 });
 
 const PORT = 3000;
-app.listen(PORT, async () => {
+const server = app.listen(PORT, async () => {
   console.log(`\n🚀 Kamsguard Observer Proxy  — http://localhost:${PORT}\n`);
 
   try {
     await getDb();
+    await loadConversionHistory();
     console.log("✅ Database ready");
   } catch (err) {
     console.error("❌ Database init failed:", err);
@@ -78,22 +169,70 @@ app.listen(PORT, async () => {
       : "⚠️  FFmpeg not found — video conversion disabled",
   );
 
+  deviceMonitor.start();
+  vpartIndex.start();
+
   console.log(`
+🗄  Devices (max_live_streams, max_replay_streams, max_streams_per_camera set stream quotas):
+   GET|POST /api/devices    GET|PUT|DELETE /api/devices/:id
+
 📺 Replay (proxy — adhbinary → MJPEG):
    GET  /api/stream/replay?device_url=&cam=&time=&speed=
 
+🔴 Live (proxy — MJPEG for NVRs, H.264 for multidetectors):
+   GET  /api/stream/live?device_id=&cam=&res=&format=
+        H.264 output=fmp4 (default, for MSE) | mjpeg&fps= | raw | hls
+
+🧩 Mosaic (several live cameras in one MJPEG grid; output=hls also works):
+   GET  /api/stream/mosaic?device_id=&cams=1,2,3,4&layout=2x2&width=&fps=
+
+🎞  Synchronized multi-camera replay:
+   POST /api/stream/session  { device_url | device_id, cams: [1,2,3], time, speed }
+   GET  /api/stream/session/:sessionId/view/:cam
+   POST /api/stream/session/:sessionId/control  { action: pause|resume|seek|speed }
+   GET|DELETE /api/stream/session/:sessionId
+
+📱 HLS (add output=hls to replay or live, then fetch the playlist):
+   GET  /api/stream/:streamId/hls/index.m3u8
+
+🔌 WebSocket (JSON frame headers + binary JPEGs, controls, events):
+   WS   /api/stream/ws
+
+📸 Snapshot (single JPEG, live or at a recorded time; encoding=base64 for JSON):
+   GET  /api/snapshot?device_id=&cam=&time=
+
+🎬 Clips (record a running stream to MP4):
+   POST /api/stream/:streamId/record/start  { label, maxDuration }
+   POST /api/stream/:streamId/record/stop
+   GET  /api/clips?device=&cam=&status=
+   GET  /api/clips/:id/download
+   DELETE /api/clips/:id
+
+📡 Events (Server-Sent Events: streams, device reachability, export jobs):
+   GET  /api/events/stream?types=stream,device,job
+
+🚨 Alarm events (synced from the device into the events table):
+   GET  /api/events?device_url=&cam=&start=&end=
+   GET  /api/events/:id/clip?pre=10&post=30&device_url=  (MP4 around the event, cached)
+
 📦 Download:
-   GET  /api/stream/download-zip?device_url=&cam=&start=&end=
-   GET  /api/stream/download-zip-mp4?device_url=&cam=&start=&end=
+   GET  /api/stream/download-zip?device_url=&cam=&start=&end=&trim=keyframe|exact
+   GET  /api/stream/download-zip-mp4?device_url=&cam=&start=&end=&trim=keyframe|exact
    POST /api/video/concatenate
 
-📋 VParts:
+▶️  Playback (one recording as a seekable MP4, converted once and cached):
+   GET  /api/video/play?device_id=&path=
+
+📋 VParts (listings cached in netvu.db, recent edge re-listed; refresh=1 re-lists all):
    GET  /api/vparts?device_url=&cam=&start=&end=
-   GET  /api/vparts/with-estimates?device_url=&cam=&start=&end=
+   GET  /api/vparts/with-estimates?device_url=&cam=&start=&end=&probe=  (sizes and times from history)
+   GET  /api/vparts/coverage?device_id=&cam=1,2&date=YYYY-MM-DD&tz_offset=  (recorded intervals and gaps)
+   GET  /api/vparts/thumbnails?device_id=&cam=&start=&end=&count=  (WebVTT sprite map)
 
 📊 Stats & control:
    GET  /api/stream/stats
    DELETE /api/stream/:streamId
+   POST /api/stream/:streamId/control  { action: pause|resume|seek|speed|step-forward|step-back }
 
 🏥 Health & diagnostics:
    GET  /api/health/:id
@@ -101,3 +240,5 @@ app.listen(PORT, async () => {
    GET  /api/diagnostic/system
   `);
 });
+
+attachStreamSocket(server, streamManager);
@@ -0,0 +1,88 @@
+import express from "express";
+
+const router = express.Router();
+
+let clipRecorder;
+export function setClipRecorder(recorder) {
+  clipRecorder = recorder;
+}
+
+router.post("/stream/:streamId/record/start", async (req, res) => {
+  try {
+    const { label, maxDuration } = req.body ?? {};
+    const clip = await clipRecorder.start(req.params.streamId, {
+      label,
+      maxDuration: maxDuration ? parseInt(maxDuration) * 1000 : undefined,
+    });
+    res.status(201).json(clip);
+  } catch (err) {
+    console.error("[Record] Start error:", err.message);
+    const status = { NOT_FOUND: 404, ALREADY_RECORDING: 409 }[err.code] ?? 500;
+    res.status(status).json({ error: err.message });
+  }
+});
+
+router.post("/stream/:streamId/record/stop", async (req, res) => {
+  try {
+    const clip = await clipRecorder.stop(req.params.streamId);
+    if (!clip) return res.status(404).json({ error: "Stream is not being recorded" });
+    res.json(clip);
+  } catch (err) {
+    console.error("[Record] Stop error:", err.message);
+    res.status(500).json({ error: "Failed to stop recording", details: err.message });
+  }
+});
+
+router.get("/clips", async (req, res) => {
+  try {
+    const { device, cam, status, limit = 100, offset = 0 } = req.query;
+    const result = await clipRecorder.listClips({
+      device,
+      cam: cam ? parseInt(cam) : undefined,
+      status,
+      limit: Math.min(parseInt(limit) || 100, 500),
+      offset: parseInt(offset) || 0,
+    });
+    res.json({ ...result, recording: clipRecorder.getRecordings() });
+  } catch (err) {
+    console.error("[Clips] Error:", err.message);
+    res.status(500).json({ error: "Failed to list clips", details: err.message });
+  }
+});
+
+router.get("/clips/:id", async (req, res) => {
+  try {
+    const clip = await clipRecorder.getClip(req.params.id);
+    if (!clip) return res.status(404).json({ error: "Clip not found" });
+    res.json(clip);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to get clip", details: err.message });
+  }
+});
+
+router.get("/clips/:id/download", async (req, res) => {
+  try {
+    const found = await clipRecorder.resolveClipFile(req.params.id);
+    if (!found) return res.status(404).json({ error: "Clip not found or not finished" });
+
+    // sendFile answers Range requests, so the clip can also be played inline
+    if (req.query.inline) res.sendFile(found.filePath, { headers: { "Content-Type": "video/mp4" } });
+    else res.download(found.filePath, found.clip.file_name);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to download clip", details: err.message });
+  }
+});
+
+router.delete("/clips/:id", async (req, res) => {
+  try {
+    const deleted = await clipRecorder.deleteClip(req.params.id);
+    if (!deleted) return res.status(404).json({ error: "Clip not found" });
+    res.json({ success: true });
+  } catch (err) {
+    res
+      .status(err.code === "ALREADY_RECORDING" ? 409 : 500)
+      .json({ error: "Failed to delete clip", details: err.message });
+  }
+});
+
+export default router;
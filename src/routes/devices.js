@@ -1,10 +1,27 @@
 import express from "express";
 import { getDb } from "../../db.js";
-import { netVuHttpGet } from "../../netvuClient.js";
-import { buildDeviceUrl, isValidAddress } from "../utils/urlHelpers.js";
+import { netVuHttpGet } from "../utils/netvuClient.js";
+import { isValidAddress } from "../utils/urlHelpers.js";
+import { deviceBaseUrl } from "../utils/deviceResolver.js";
 
 const router = express.Router();
 
+// Per-device stream quotas; null falls back to the device type's default
+const QUOTA_FIELDS = [
+  "max_live_streams",
+  "max_replay_streams",
+  "max_streams_per_camera",
+];
+
+function invalidQuota(body) {
+  return QUOTA_FIELDS.find(
+    (field) =>
+      body[field] !== undefined &&
+      body[field] !== null &&
+      !(Number.isInteger(body[field]) && body[field] >= 0),
+  );
+}
+
 router.post("/devices", async (req, res) => {
   try {
     const {
@@ -14,23 +31,32 @@ router.post("/devices", async (req, res) => {
       max_cameras = 16,
       username = null,
       password = null,
+      max_live_streams = null,
+      max_replay_streams = null,
+      max_streams_per_camera = null,
     } = req.body;
     if (!name || !ip_address)
       return res
         .status(400)
         .json({ error: "Name and IP address are required" });
 
+    const badQuota = invalidQuota(req.body);
+    if (badQuota)
+      return res
+        .status(400)
+        .json({ error: `${badQuota} must be a non-negative integer or null` });
+
     if (!isValidAddress(ip_address))
       return res.status(400).json({ error: "Invalid IP or URL format" });
 
     try {
       const testDevice = { ip_address, username, password };
-      const testUrl = buildDeviceUrl(testDevice, "/");
+      const testUrl = `${deviceBaseUrl(testDevice)}/`;
       await netVuHttpGet(testUrl, 500, 5000);
 
       const db = await getDb();
       const result = await db.run(
-        "INSERT INTO devices (name, ip_address, site_id, status, device_type, max_cameras, username, password) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+        "INSERT INTO devices (name, ip_address, site_id, status, device_type, max_cameras, username, password, max_live_streams, max_replay_streams, max_streams_per_camera) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
         name,
         ip_address,
         "Unknown",
@@ -39,6 +65,9 @@ router.post("/devices", async (req, res) => {
         max_cameras,
         username,
         password,
+        max_live_streams,
+        max_replay_streams,
+        max_streams_per_camera,
       );
       res.json(
         await db.get("SELECT * FROM devices WHERE id = ?", result.lastID),
@@ -102,6 +131,11 @@ router.put("/devices/:id", async (req, res) => {
   try {
     const { name, status, device_type, max_cameras, username, password } =
       req.body;
+    const badQuota = invalidQuota(req.body);
+    if (badQuota)
+      return res
+        .status(400)
+        .json({ error: `${badQuota} must be a non-negative integer or null` });
     const db = await getDb();
     const updates = [],
       params = [];
@@ -129,6 +163,12 @@ router.put("/devices/:id", async (req, res) => {
       updates.push("password = ?");
       params.push(password);
     }
+    for (const field of QUOTA_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(req.body[field]);
+      }
+    }
     params.push(req.params.id);
     await db.run(
       `UPDATE devices SET ${updates.join(", ")} WHERE id = ?`,
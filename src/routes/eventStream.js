@@ -0,0 +1,115 @@
+/**
+ * Server-Sent Events feed — GET /api/events/stream
+ *
+ * Pushes lifecycle events as they happen, so dashboards need not poll
+ * /api/stream/stats:
+ *
+ *   stream:  stream-started, stream-stopped, stream-error, stream-outage,
+ *            stream-reconnecting, stream-reconnected, stream-control
+ *   device:  device-status
+ *   job:     job-started, job-progress, job-finished, job-failed
+ *
+ * Each message is `event: <name>` with the payload as JSON `data`. The
+ * first message is a "snapshot" of the current streams, device statuses and
+ * export jobs; a client that reconnects gets a fresh one. ?types=stream,job
+ * limits the feed to some groups.
+ */
+
+import express from "express";
+
+const router = express.Router();
+
+const EVENT_GROUPS = {
+  stream: [
+    "stream-started",
+    "stream-stopped",
+    "stream-error",
+    "stream-outage",
+    "stream-reconnecting",
+    "stream-reconnected",
+    "stream-control",
+  ],
+  device: ["device-status"],
+  job: ["job-started", "job-progress", "job-finished", "job-failed"],
+};
+const HEARTBEAT_INTERVAL = 15000;
+
+const clients = new Set(); // { res, groups }
+let nextEventId = 0;
+let sources = {};
+
+function send(client, event, payload) {
+  client.res.write(`id: ${++nextEventId}\nevent: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+function broadcast(group, event, payload) {
+  const body = { ...payload, at: Date.now() };
+  if (body.error instanceof Error) body.error = body.error.message;
+  clients.forEach((client) => {
+    if (client.groups.has(group)) send(client, event, body);
+  });
+}
+
+/**
+ * Wire the emitters whose events the feed carries. Any of them may be
+ * left out.
+ */
+export function setEventSources({ streamManager, deviceMonitor, exportJobs }) {
+  sources = { streamManager, deviceMonitor, exportJobs };
+  const emitters = { stream: streamManager, device: deviceMonitor, job: exportJobs };
+  Object.entries(EVENT_GROUPS).forEach(([group, events]) => {
+    if (!emitters[group]) return;
+    events.forEach((event) =>
+      emitters[group].on(event, (payload) => broadcast(group, event, payload)),
+    );
+  });
+}
+
+/**
+ * Close every open feed (server shutdown).
+ */
+export function closeEventStreams() {
+  clients.forEach((client) => client.res.end());
+  clients.clear();
+}
+
+router.get("/events/stream", (req, res) => {
+  const requested = req.query.types ? String(req.query.types).split(",") : Object.keys(EVENT_GROUPS);
+  const groups = new Set(requested.map((t) => t.trim()).filter((t) => EVENT_GROUPS[t]));
+  if (groups.size === 0) {
+    return res.status(400).json({
+      error: `types must list one or more of: ${Object.keys(EVENT_GROUPS).join(", ")}`,
+    });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+
+  const client = { res, groups };
+  clients.add(client);
+  console.log(`[EventStream] Client connected (${clients.size} total)`);
+
+  const { streamManager, deviceMonitor, exportJobs } = sources;
+  send(client, "snapshot", {
+    streams: groups.has("stream") ? (streamManager?.getActiveStreams() ?? []) : undefined,
+    devices: groups.has("device") ? (deviceMonitor?.getStatus() ?? []) : undefined,
+    jobs: groups.has("job") ? (exportJobs?.getJobs() ?? []) : undefined,
+    at: Date.now(),
+  });
+
+  // Comment lines keep proxies from timing out a quiet feed
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_INTERVAL);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+    console.log(`[EventStream] Client disconnected (${clients.size} total)`);
+  });
+});
+
+export default router;
@@ -1,10 +1,14 @@
 import express from "express";
 import { getDb } from "../../db.js";
-import { netVuHttpGet } from "../utils/netvuClient.js";
-import { buildDeviceUrl } from "../utils/urlHelpers.js";
+import { listEvents, listLatestEvents } from "../utils/netvuPager.js";
 
 const router = express.Router();
 
+let eventClips;
+export function setEventClips(clips) {
+  eventClips = clips;
+}
+
 router.get("/events", async (req, res) => {
   try {
     const { device_url, cam = 1, start, end } = req.query;
@@ -15,29 +19,23 @@ router.get("/events", async (req, res) => {
     const startTime = parseInt(start) || 0;
     const endTime = parseInt(end) || -100;
     const isAbsoluteRange = startTime > 0 && endTime > 0;
-    const listlength = isAbsoluteRange ? 1000 : endTime;
-
-    const url = buildDeviceUrl(
-      deviceUrl,
-      `/events.cgi?format=csv&time=${startTime}&listlength=${listlength}`,
-    );
-    const response = await netVuHttpGet(url, 500, 10000);
+    const listing = isAbsoluteRange
+      ? await listEvents(deviceUrl, startTime, endTime)
+      : await listLatestEvents(deviceUrl, startTime, endTime);
 
     const db = await getDb();
 
-    for (const line of response.data.split("\n").filter((l) => l.trim())) {
-      const parts = line.split(",");
-      if (parts.length < 7 || parts[2] === "No matching records") continue;
+    for (const event of listing.events) {
+      const {
+        id: eventId,
+        cam: camNum,
+        description,
+        time: eventTime,
+        duration,
+        range: rangeValue,
+        exists: existsFlag,
+      } = event;
 
-      const eventId = Number(parts[0]);
-      const camNum = Number(parts[1]);
-      const description = parts[2].trim();
-      const eventTime = Number(parts[3]);
-      const duration = Number(parts[4]);
-      const rangeValue = Number(parts[5]);
-      const existsFlag = parts[6].trim();
-
-      if (isNaN(eventId) || isNaN(eventTime)) continue;
       if (cam && camNum !== parseInt(cam)) continue;
       if (isAbsoluteRange && (eventTime < startTime || eventTime > endTime))
         continue;
@@ -94,6 +92,8 @@ router.get("/events", async (req, res) => {
     }
 
     console.log(`[Events] Returning ${savedEvents.length} events`);
+    res.setHeader("X-Listing-Complete", String(listing.complete));
+    res.setHeader("Access-Control-Expose-Headers", "X-Listing-Complete");
     res.json(savedEvents);
   } catch (err) {
     console.error("Events error:", err.message);
@@ -103,4 +103,61 @@ router.get("/events", async (req, res) => {
   }
 });
 
+// Footage around a stored event as one MP4, cached per event and pre/post.
+// Event ids are per device: device_url picks one when several devices
+// share an id.
+router.get("/events/:id/clip", async (req, res) => {
+  try {
+    const { pre = 10, post = 30, device_url } = req.query;
+    const eventId = parseInt(req.params.id);
+    const preRoll = parseInt(pre);
+    const postRoll = parseInt(post);
+    if (isNaN(eventId))
+      return res.status(400).json({ error: "Event id must be a number" });
+    if (!(preRoll >= 0 && preRoll <= 600) || !(postRoll >= 0 && postRoll <= 600))
+      return res.status(400).json({ error: "pre and post must be between 0 and 600 seconds" });
+
+    const db = await getDb();
+    const events = device_url
+      ? await db.all(
+          "SELECT * FROM events WHERE id = ? AND device_ip = ?",
+          eventId,
+          decodeURIComponent(device_url),
+        )
+      : await db.all("SELECT * FROM events WHERE id = ?", eventId);
+    if (events.length === 0)
+      return res.status(404).json({ error: "Event not found" });
+    if (events.length > 1)
+      return res.status(409).json({
+        error: "Several devices have an event with this id; pass device_url",
+        devices: events.map((e) => e.device_ip),
+      });
+
+    const event = events[0];
+    const clip = await eventClips.getClip(event, { pre: preRoll, post: postRoll });
+    if (req.destroyed) return clip.release();
+    res.on("close", clip.release);
+
+    const stamp = new Date(event.time * 1000).toISOString().replace(/[:.]/g, "-").slice(0, 19);
+    res.setHeader("X-Clip-Cache", clip.cached ? "HIT" : "MISS");
+    res.setHeader("X-Clip-Start", String(clip.start));
+    res.setHeader("X-Clip-End", String(clip.end));
+    res.setHeader("Access-Control-Expose-Headers", "X-Clip-Cache, X-Clip-Start, X-Clip-End");
+    res.sendFile(clip.filePath, {
+      headers: {
+        "Content-Type": "video/mp4",
+        "Content-Disposition": `inline; filename="event_${eventId}_cam${event.cam}_${stamp}.mp4"`,
+        "Cache-Control": clip.provisional ? "no-store" : "private, max-age=86400",
+      },
+    });
+  } catch (err) {
+    console.error("Event clip error:", err.message);
+    if (res.headersSent) return res.end();
+    res.status(err.code === "NO_RECORDING" ? 404 : 500).json({
+      error: "Failed to export event clip",
+      details: err.message,
+    });
+  }
+});
+
 export default router;
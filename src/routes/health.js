@@ -1,19 +1,26 @@
 import express from "express";
 import { getDb } from "../../db.js";
 import { netVuHttpGet } from "../utils/netvuClient.js";
-import { buildDeviceUrl } from "../utils/urlHelpers.js";
+import { deviceBaseUrl } from "../utils/deviceResolver.js";
 
 const router = express.Router();
 
+let deviceMonitor;
+export function setDeviceMonitor(monitor) {
+  deviceMonitor = monitor;
+}
+
 router.get("/health/:id", async (req, res) => {
+  let device;
   try {
     const db = await getDb();
-    const device = await db.get(
+    device = await db.get(
       "SELECT * FROM devices WHERE id = ?",
       req.params.id,
     );
     if (!device) return res.status(404).json({ error: "Device not found" });
-    await netVuHttpGet(buildDeviceUrl(device, "/"), 500, 5000);
+    await netVuHttpGet(`${deviceBaseUrl(device)}/`, 500, 5000);
+    deviceMonitor?.report(device, true);
     const isGateway = device.device_type !== "multidetector";
     res.json({
       status: "ok",
@@ -26,6 +33,7 @@ router.get("/health/:id", async (req, res) => {
       connected: true,
     });
   } catch (err) {
+    if (device) deviceMonitor?.report(device, false, err.message);
     res
       .status(503)
       .json({ status: "error", connected: false, error: err.message });
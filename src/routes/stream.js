@@ -1,12 +1,64 @@
 import express from "express";
+import { resolveDevice, liveFormatFor } from "../utils/deviceResolver.js";
+import { SESSION_ACTIONS } from "../services/replaySessions.js";
 
 const router = express.Router();
 
+export const ALLOWED_SPEEDS = [-16, -4, -1, -0.5, -0.25, 0.25, 0.5, 1, 4, 16, 64];
+export const ALLOWED_RESOLUTIONS = ["hi", "med", "lo"];
+const ALLOWED_FORMATS = ["mjpeg", "h264"];
+// How an H.264 live stream is delivered: fragmented MP4 for MSE players,
+// the device's raw bytes, or transcoded to MJPEG for clients without MSE
+const H264_OUTPUTS = ["fmp4", "raw", "mjpeg", "hls"];
+export const CONTROL_ACTIONS = ["pause", "resume", "seek", "speed", "step-forward", "step-back"];
+
 let streamManager;
 export function setStreamManager(sm) {
   streamManager = sm;
 }
 
+let hlsPackager;
+export function setHlsPackager(packager) {
+  hlsPackager = packager;
+}
+
+let replaySessions;
+export function setReplaySessions(sessions) {
+  replaySessions = sessions;
+}
+
+let mosaicComposer;
+export function setMosaicComposer(composer) {
+  mosaicComposer = composer;
+}
+
+let liveRemuxer;
+export function setLiveRemuxer(remuxer) {
+  liveRemuxer = remuxer;
+}
+
+// A stream could not be started. Quota refusals are 429s that name the
+// streams holding the device's slots.
+function sendStartError(res, err, status) {
+  if (err.code === "QUOTA_EXCEEDED") {
+    res.setHeader("Retry-After", "10");
+    return res.status(429).json({ error: err.message, limit: err.limit, holders: err.holders });
+  }
+  res.status(status).json({ error: err.message });
+}
+
+// output=hls: hand the stream to the HLS packager and answer with the
+// playlist URL instead of a multipart response.
+async function respondWithHls(res, stream) {
+  hlsPackager.start(stream);
+  await hlsPackager.waitForPlaylist(stream.id);
+  res.json({
+    streamId: stream.id,
+    type: stream.type,
+    playlist: `/api/stream/${stream.id}/hls/index.m3u8`,
+  });
+}
+
 router.get("/stream/replay", async (req, res) => {
   try {
     const { device_url, cam = 1, time } = req.query;
@@ -16,12 +68,12 @@ router.get("/stream/replay", async (req, res) => {
     const deviceUrl = decodeURIComponent(device_url);
     const camNum = parseInt(cam);
 
-    const ALLOWED_SPEEDS = [-16, -4, -1, 1, 4, 16, 64];
     const speed = ALLOWED_SPEEDS.includes(parseFloat(req.query.speed))
       ? parseFloat(req.query.speed)
       : 1;
 
     const stream = await streamManager.startReplayStream(deviceUrl, camNum, parseInt(time), { speed });
+    if (req.query.output === "hls") return await respondWithHls(res, stream);
 
     res.setHeader("Content-Type", "multipart/x-mixed-replace; boundary=frame");
     res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
@@ -37,14 +89,298 @@ router.get("/stream/replay", async (req, res) => {
     req.on("close", () => console.log(`[Replay] Client disconnected: ${stream.id}`));
   } catch (err) {
     console.error("[Replay] Error:", err.message);
+    if (!res.headersSent) sendStartError(res, err, 503);
+  }
+});
+
+router.get("/stream/live", async (req, res) => {
+  try {
+    const { device_id, cam = 1, res: resolution = "hi", format } = req.query;
+    if (!device_id) return res.status(400).json({ error: "device_id is required" });
+
+    if (!ALLOWED_RESOLUTIONS.includes(resolution))
+      return res.status(400).json({ error: `res must be one of ${ALLOWED_RESOLUTIONS.join(", ")}` });
+    if (format && !ALLOWED_FORMATS.includes(format))
+      return res.status(400).json({ error: `format must be one of ${ALLOWED_FORMATS.join(", ")}` });
+
+    const device = await resolveDevice(device_id);
+    if (!device) return res.status(404).json({ error: "Device not found" });
+
+    const streamFormat = format || liveFormatFor(device.device_type);
+    const output = req.query.output ?? (streamFormat === "h264" ? "fmp4" : undefined);
+    if (streamFormat === "h264" && !H264_OUTPUTS.includes(output))
+      return res.status(400).json({ error: `output must be one of ${H264_OUTPUTS.join(", ")}` });
+
+    let stream = await streamManager.startLiveStream(device.url, parseInt(cam), {
+      resolution,
+      format: streamFormat,
+      deviceType: device.device_type,
+    });
+    if (output === "hls") return await respondWithHls(res, stream);
+
+    if (streamFormat === "h264" && output === "fmp4") {
+      res.setHeader("X-Stream-Id", stream.id);
+      res.setHeader("X-Stream-Type", "live");
+      res.setHeader("X-Stream-Format", "fmp4");
+      res.setHeader("Access-Control-Expose-Headers", "X-Stream-Id, X-Stream-Type, X-Stream-Format");
+      await liveRemuxer.attach(stream, res);
+      return;
+    }
+    if (streamFormat === "h264" && output === "mjpeg") {
+      const fps = Math.min(Math.max(parseInt(req.query.fps) || 10, 1), 25);
+      stream = await liveRemuxer.transcode(stream, { fps });
+    }
+
+    res.setHeader("Content-Type", stream.contentType);
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    res.setHeader("Pragma", "no-cache");
+    res.setHeader("Expires", "0");
+    res.setHeader("X-Stream-Id", stream.id);
+    res.setHeader("X-Stream-Type", "live");
+    res.setHeader("X-Stream-Format", stream.format);
+    res.setHeader("Access-Control-Expose-Headers", "X-Stream-Id, X-Stream-Type, X-Stream-Format");
+    res.setTimeout(0);
+
+    streamManager.addClient(stream.id, res);
+    req.on("close", () => console.log(`[Live] Client disconnected: ${stream.id}`));
+  } catch (err) {
+    console.error("[Live] Error:", err.message);
+    if (!res.headersSent) sendStartError(res, err, 503);
+  }
+});
+
+router.get("/stream/mosaic", async (req, res) => {
+  try {
+    const { device_id, cams, layout = "2x2", res: resolution = "med" } = req.query;
+    if (!device_id) return res.status(400).json({ error: "device_id is required" });
+
+    const camList = String(cams ?? "")
+      .split(",")
+      .map((c) => parseInt(c))
+      .filter((c) => c > 0);
+    if (camList.length === 0) return res.status(400).json({ error: "cams must list at least one camera" });
+
+    const grid = String(layout).match(/^([1-4])x([1-4])$/);
+    if (!grid) return res.status(400).json({ error: "layout must be COLSxROWS, up to 4x4" });
+    const columns = parseInt(grid[1]);
+    const rows = parseInt(grid[2]);
+    if (camList.length > columns * rows)
+      return res.status(400).json({ error: `layout ${layout} has room for ${columns * rows} cameras` });
+
+    if (!ALLOWED_RESOLUTIONS.includes(resolution))
+      return res.status(400).json({ error: `res must be one of ${ALLOWED_RESOLUTIONS.join(", ")}` });
+    const width = Math.min(Math.max(parseInt(req.query.width) || 1280, 320), 1920);
+    const fps = Math.min(Math.max(parseInt(req.query.fps) || 5, 1), 15);
+
+    const device = await resolveDevice(device_id);
+    if (!device) return res.status(404).json({ error: "Device not found" });
+
+    const stream = await mosaicComposer.start(device, camList, { columns, rows, width, fps, resolution });
+    if (req.query.output === "hls") return await respondWithHls(res, stream);
+
+    res.setHeader("Content-Type", stream.contentType);
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    res.setHeader("Pragma", "no-cache");
+    res.setHeader("Expires", "0");
+    res.setHeader("X-Stream-Id", stream.id);
+    res.setHeader("X-Stream-Type", "mosaic");
+    res.setHeader("Access-Control-Expose-Headers", "X-Stream-Id, X-Stream-Type");
+    res.setTimeout(0);
+
+    streamManager.addClient(stream.id, res);
+    req.on("close", () => console.log(`[Mosaic] Client disconnected: ${stream.id}`));
+  } catch (err) {
+    console.error("[Mosaic] Error:", err.message);
+    if (!res.headersSent) sendStartError(res, err, 503);
+  }
+});
+
+router.post("/stream/:streamId/control", async (req, res) => {
+  try {
+    const { action, time, speed } = req.body ?? {};
+    const stream = streamManager.getStream(req.params.streamId);
+    if (!stream) return res.status(404).json({ error: "Stream not found" });
+    if (stream.type !== "replay")
+      return res.status(400).json({ error: "Transport controls only apply to replay streams" });
+    if (!CONTROL_ACTIONS.includes(action))
+      return res.status(400).json({ error: `action must be one of ${CONTROL_ACTIONS.join(", ")}` });
+
+    const params = {};
+    if (action === "seek") {
+      params.time = parseInt(time);
+      if (Number.isNaN(params.time)) return res.status(400).json({ error: "time is required for seek" });
+    }
+    if (action === "speed") {
+      params.speed = parseFloat(speed);
+      if (!ALLOWED_SPEEDS.includes(params.speed))
+        return res.status(400).json({ error: `speed must be one of ${ALLOWED_SPEEDS.join(", ")}` });
+    }
+
+    const playback = await streamManager.controlReplay(stream.id, action, params);
+    res.json({ success: true, ...playback });
+  } catch (err) {
+    console.error("[Control] Error:", err.message);
+    res.status(err.code === "NO_RECORDING" ? 404 : 503).json({ error: err.message });
+  }
+});
+
+router.post("/stream/session", async (req, res) => {
+  try {
+    const { device_url, device_id, cams, time, speed = 1 } = req.body ?? {};
+    if (!device_url && !device_id)
+      return res.status(400).json({ error: "device_url or device_id is required" });
+    if (!time) return res.status(400).json({ error: "time is required" });
+
+    const camList = (Array.isArray(cams) ? cams : String(cams ?? "").split(","))
+      .map((c) => parseInt(c))
+      .filter((c) => c > 0);
+    if (camList.length === 0) return res.status(400).json({ error: "cams must list at least one camera" });
+    if (!ALLOWED_SPEEDS.includes(parseFloat(speed)))
+      return res.status(400).json({ error: `speed must be one of ${ALLOWED_SPEEDS.join(", ")}` });
+
+    let deviceUrl = device_url;
+    if (!deviceUrl) {
+      const device = await resolveDevice(device_id);
+      if (!device) return res.status(404).json({ error: "Device not found" });
+      deviceUrl = device.url;
+    }
+
+    const session = await replaySessions.create(deviceUrl, [...new Set(camList)], parseInt(time), {
+      speed: parseFloat(speed),
+    });
+    res.status(201).json(session);
+  } catch (err) {
+    console.error("[Session] Error:", err.message);
+    sendStartError(res, err, err.code === "NO_RECORDING" ? 404 : 503);
+  }
+});
+
+router.get("/stream/session/:sessionId", (req, res) => {
+  const session = replaySessions.getSession(req.params.sessionId);
+  if (!session) return res.status(404).json({ error: "Session not found" });
+  res.json(session);
+});
+
+router.get("/stream/session/:sessionId/view/:cam", (req, res) => {
+  const { sessionId, cam } = req.params;
+  if (!replaySessions.getSession(sessionId)) return res.status(404).json({ error: "Session not found" });
+
+  const stream = replaySessions.attach(sessionId, parseInt(cam), res);
+  if (!stream) return res.status(404).json({ error: `Camera ${cam} is not running in this session` });
+
+  res.setHeader("Content-Type", "multipart/x-mixed-replace; boundary=frame");
+  res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+  res.setHeader("X-Stream-Id", stream.id);
+  res.setHeader("X-Session-Id", sessionId);
+  res.setHeader("Access-Control-Expose-Headers", "X-Stream-Id, X-Session-Id");
+  res.setTimeout(0);
+  req.on("close", () => console.log(`[Session] Viewer disconnected: ${stream.id}`));
+});
+
+router.post("/stream/session/:sessionId/control", async (req, res) => {
+  try {
+    const { action, time, speed } = req.body ?? {};
+    if (!replaySessions.getSession(req.params.sessionId))
+      return res.status(404).json({ error: "Session not found" });
+    if (!SESSION_ACTIONS.includes(action))
+      return res.status(400).json({ error: `action must be one of ${SESSION_ACTIONS.join(", ")}` });
+
+    const params = {};
+    if (action === "seek") {
+      params.time = parseInt(time);
+      if (Number.isNaN(params.time)) return res.status(400).json({ error: "time is required for seek" });
+    }
+    if (action === "speed") {
+      params.speed = parseFloat(speed);
+      if (!ALLOWED_SPEEDS.includes(params.speed))
+        return res.status(400).json({ error: `speed must be one of ${ALLOWED_SPEEDS.join(", ")}` });
+    }
+
+    const session = await replaySessions.control(req.params.sessionId, action, params);
+    res.json({ success: true, ...session });
+  } catch (err) {
+    console.error("[Session] Control error:", err.message);
+    res.status(503).json({ error: err.message });
+  }
+});
+
+router.delete("/stream/session/:sessionId", (req, res) => {
+  if (replaySessions.close(req.params.sessionId)) res.json({ success: true });
+  else res.status(404).json({ error: "Session not found" });
+});
+
+router.get("/stream/:streamId/hls/:file", (req, res) => {
+  const { streamId, file } = req.params;
+  const filePath = hlsPackager.resolveFile(streamId, file);
+  if (!filePath) return res.status(404).json({ error: "HLS file not found" });
+
+  const isPlaylist = file.endsWith(".m3u8");
+  res.setHeader("Content-Type", isPlaylist ? "application/vnd.apple.mpegurl" : "video/mp2t");
+  res.setHeader("Cache-Control", isPlaylist ? "no-cache, no-store, must-revalidate" : "max-age=60");
+  res.sendFile(filePath);
+});
+
+router.get("/snapshot", async (req, res) => {
+  try {
+    const { device_id, cam = 1, time, res: resolution = "hi", encoding } = req.query;
+    if (!device_id) return res.status(400).json({ error: "device_id is required" });
+    if (!ALLOWED_RESOLUTIONS.includes(resolution))
+      return res.status(400).json({ error: `res must be one of ${ALLOWED_RESOLUTIONS.join(", ")}` });
+
+    const device = await resolveDevice(device_id);
+    if (!device) return res.status(404).json({ error: "Device not found" });
+
+    const timestamp = time ? parseInt(time) : null;
+    const { frame, time: frameTime, header } = await streamManager.grabFrame(device.url, parseInt(cam), timestamp, {
+      resolution,
+    });
+
+    // Recorded frames never change; live ones are stale immediately
+    res.setHeader(
+      "Cache-Control",
+      timestamp ? "public, max-age=86400, immutable" : "no-cache, no-store, must-revalidate",
+    );
+    if (frameTime !== null) {
+      res.setHeader("X-Frame-Time", String(frameTime));
+      res.setHeader("Last-Modified", new Date(frameTime * 1000).toUTCString());
+    }
+    if (header?.title) res.setHeader("X-Camera-Title", encodeURIComponent(header.title));
+    res.setHeader("Access-Control-Expose-Headers", "X-Frame-Time, X-Camera-Title");
+
+    if (encoding === "base64") {
+      return res.json({
+        device_id: parseInt(device_id),
+        cam: parseInt(cam),
+        requestedTime: timestamp,
+        frameTime,
+        title: header?.title ?? null,
+        alarm: header?.alarm ?? null,
+        contentType: "image/jpeg",
+        size: frame.length,
+        data: frame.toString("base64"),
+      });
+    }
+
+    res.type("image/jpeg").send(frame);
+  } catch (err) {
+    console.error("[Snapshot] Error:", err.message);
     if (!res.headersSent)
-      res.status(503).json({ error: err.message });
+      res.status(err.code === "NO_RECORDING" ? 404 : 503).json({ error: err.message });
   }
 });
 
 router.get("/stream/stats", (req, res) => {
   try {
-    res.json({ manager: streamManager.getStats(), streams: streamManager.getActiveStreams() });
+    res.json({
+      manager: streamManager.getStats(),
+      streams: streamManager.getActiveStreams(),
+      hls: hlsPackager.getOutputs(),
+      sessions: replaySessions.getSessions(),
+      mosaics: mosaicComposer.getMosaics(),
+      remux: liveRemuxer.getStats(),
+    });
   } catch (err) {
     res.status(500).json({ error: "Failed to get stats" });
   }
@@ -0,0 +1,241 @@
+/**
+ * WebSocket stream transport — ws://host/api/stream/ws
+ *
+ * Alternative to the multipart HTTP responses. One socket serves one viewer
+ * tile: it carries the frames, transport controls and lifecycle events of
+ * the stream it is subscribed to.
+ *
+ * Client → server (JSON text):
+ *   { type: "subscribe", mode: "replay", device_url, cam, time, speed }
+ *   { type: "subscribe", mode: "live", device_id, cam, res }
+ *   { type: "control", action, time?, speed? }      (replay only)
+ *   { type: "unsubscribe" }
+ *
+ * Server → client:
+ *   { type: "frame", streamId, frame, size, time, title, alarm }
+ *                                 followed by one binary message with the JPEG
+ *   { type: "subscribed" | "unsubscribed" | "control", … }
+ *   { type: "event", event: "stream-outage" | "stream-reconnecting" |
+ *     "stream-reconnected" | "stream-control" | "stream-error" |
+ *     "stream-stopped", … }
+ *   { type: "error", error, code?, holders? }   (holders: QUOTA_EXCEEDED)
+ */
+
+import { WebSocketServer } from "ws";
+import { resolveDevice } from "../utils/deviceResolver.js";
+import {
+  ALLOWED_SPEEDS,
+  ALLOWED_RESOLUTIONS,
+  CONTROL_ACTIONS,
+} from "./stream.js";
+
+const SOCKET_PATH = "/api/stream/ws";
+const FORWARDED_EVENTS = [
+  "stream-outage",
+  "stream-reconnecting",
+  "stream-reconnected",
+  "stream-control",
+  "stream-error",
+  "stream-stopped",
+];
+
+export function attachStreamSocket(server, streamManager, options = {}) {
+  const maxBufferedBytes = options.maxBufferedBytes || 2 * 1024 * 1024;
+  const wss = new WebSocketServer({ server, path: SOCKET_PATH });
+  const subscribers = new Map(); // streamId -> Set<socket>
+
+  const send = (socket, message) => {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+  };
+
+  FORWARDED_EVENTS.forEach((event) => {
+    streamManager.on(event, (payload) => {
+      const sockets = subscribers.get(payload.streamId);
+      if (!sockets) return;
+      const body = { ...payload };
+      if (body.error instanceof Error) body.error = body.error.message;
+      sockets.forEach((socket) => send(socket, { type: "event", event, ...body }));
+    });
+  });
+
+  // Drop the socket's current stream: detach the frame sink and give back
+  // the reference taken when subscribing.
+  const unsubscribe = (socket) => {
+    const sub = socket.subscription;
+    if (!sub) return;
+    socket.subscription = null;
+
+    sub.detach();
+    const sockets = subscribers.get(sub.streamId);
+    if (sockets) {
+      sockets.delete(socket);
+      if (sockets.size === 0) subscribers.delete(sub.streamId);
+    }
+    if (!sub.stopped) streamManager.releaseStream(sub.streamId);
+
+    console.log(
+      `[StreamSocket] Unsubscribed from ${sub.streamId} (${sub.sent} frames sent, ${sub.dropped} dropped)`,
+    );
+  };
+
+  const subscribe = async (socket, msg) => {
+    let stream;
+    if (msg.mode === "replay") {
+      if (!msg.device_url) throw new Error("device_url is required");
+      if (!msg.time) throw new Error("time is required");
+      const speed = ALLOWED_SPEEDS.includes(parseFloat(msg.speed))
+        ? parseFloat(msg.speed)
+        : 1;
+      stream = await streamManager.startReplayStream(
+        decodeURIComponent(msg.device_url),
+        parseInt(msg.cam ?? 1),
+        parseInt(msg.time),
+        { speed },
+      );
+    } else if (msg.mode === "live") {
+      if (!msg.device_id) throw new Error("device_id is required");
+      const resolution = msg.res ?? "hi";
+      if (!ALLOWED_RESOLUTIONS.includes(resolution))
+        throw new Error(`res must be one of ${ALLOWED_RESOLUTIONS.join(", ")}`);
+      const device = await resolveDevice(msg.device_id);
+      if (!device) throw new Error("Device not found");
+      // Frames go out one JPEG per message, so live is always MJPEG here
+      stream = await streamManager.startLiveStream(device.url, parseInt(msg.cam ?? 1), {
+        resolution,
+        format: "mjpeg",
+        deviceType: device.device_type,
+      });
+    } else {
+      throw new Error('mode must be "replay" or "live"');
+    }
+
+    // Socket closed or re-subscribed while the upstream was connecting
+    if (socket.readyState !== socket.OPEN || socket.pendingSubscribe !== msg) {
+      streamManager.releaseStream(stream.id);
+      return;
+    }
+
+    const sub = { streamId: stream.id, sent: 0, dropped: 0, stopped: false, detach: null };
+    sub.detach = streamManager.addSink(stream.id, {
+      onFrame: (frame, meta) => {
+        // Slow socket: skip the frame rather than queue it in Node
+        if (socket.bufferedAmount > maxBufferedBytes) {
+          sub.dropped++;
+          return;
+        }
+        send(socket, {
+          type: "frame",
+          streamId: stream.id,
+          frame: meta.number,
+          size: frame.length,
+          time: meta.time,
+          title: meta.title,
+          alarm: meta.alarm,
+        });
+        socket.send(frame, { binary: true });
+        sub.sent++;
+      },
+      onStop: () => {
+        sub.stopped = true;
+        unsubscribe(socket);
+      },
+    });
+
+    socket.subscription = sub;
+    if (!subscribers.has(stream.id)) subscribers.set(stream.id, new Set());
+    subscribers.get(stream.id).add(socket);
+
+    send(socket, {
+      type: "subscribed",
+      streamId: stream.id,
+      streamType: stream.type,
+      playback: streamManager.getPlayback(stream.id),
+    });
+    console.log(`[StreamSocket] Subscribed to ${stream.id}`);
+  };
+
+  const handleMessage = async (socket, msg) => {
+    switch (msg.type) {
+      case "subscribe":
+        unsubscribe(socket);
+        socket.pendingSubscribe = msg;
+        await subscribe(socket, msg);
+        break;
+      case "unsubscribe":
+        socket.pendingSubscribe = null;
+        unsubscribe(socket);
+        send(socket, { type: "unsubscribed" });
+        break;
+      case "control": {
+        const sub = socket.subscription;
+        if (!sub) throw new Error("Not subscribed to a stream");
+        if (!CONTROL_ACTIONS.includes(msg.action))
+          throw new Error(`action must be one of ${CONTROL_ACTIONS.join(", ")}`);
+        const params = {};
+        if (msg.action === "seek") {
+          params.time = parseInt(msg.time);
+          if (Number.isNaN(params.time)) throw new Error("time is required for seek");
+        }
+        if (msg.action === "speed") {
+          params.speed = parseFloat(msg.speed);
+          if (!ALLOWED_SPEEDS.includes(params.speed))
+            throw new Error(`speed must be one of ${ALLOWED_SPEEDS.join(", ")}`);
+        }
+        const playback = await streamManager.controlReplay(sub.streamId, msg.action, params);
+        send(socket, { type: "control", action: msg.action, ...playback });
+        break;
+      }
+      default:
+        throw new Error(`Unknown message type: ${msg.type}`);
+    }
+  };
+
+  wss.on("connection", (socket, req) => {
+    console.log(`[StreamSocket] Connected: ${req.socket.remoteAddress}`);
+    socket.subscription = null;
+    socket.pendingSubscribe = null;
+    socket.isAlive = true;
+
+    socket.on("pong", () => {
+      socket.isAlive = true;
+    });
+
+    socket.on("message", async (data, isBinary) => {
+      if (isBinary) return send(socket, { type: "error", error: "Binary messages are not accepted" });
+      try {
+        await handleMessage(socket, JSON.parse(data.toString()));
+      } catch (err) {
+        console.error("[StreamSocket] Error:", err.message);
+        send(socket, { type: "error", error: err.message, code: err.code, holders: err.holders });
+      }
+    });
+
+    socket.on("close", () => {
+      console.log(`[StreamSocket] Disconnected: ${req.socket.remoteAddress}`);
+      socket.pendingSubscribe = null;
+      unsubscribe(socket);
+    });
+
+    socket.on("error", (err) => {
+      console.error("[StreamSocket] Socket error:", err.message);
+    });
+  });
+
+  // Sockets that miss a ping round are dead — terminate them so their
+  // stream reference is released.
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) return socket.terminate();
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, options.heartbeatInterval || 30000);
+  heartbeat.unref();
+
+  wss.on("close", () => clearInterval(heartbeat));
+
+  console.log(`[StreamSocket] Listening on ${SOCKET_PATH}`);
+  return wss;
+}
+
+export default attachStreamSocket;
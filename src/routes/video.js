@@ -3,7 +3,6 @@ import path from "path";
 import os from "os";
 import fs from "fs";
 import archiver from "archiver";
-import { netVuHttpGet } from "../utils/netvuClient.js";
 import {
   buildDeviceUrl,
   sanitizeUrlForLogging,
@@ -14,13 +13,70 @@ import {
   downloadFile,
   convertParToMp4Single,
   convertParToMp4,
+  extractClip,
+  smartCut,
   analyzeParFile,
   cleanupTemp,
   estimateConversionTime,
 } from "../services/videoConverter.js";
+import { resolveDevice } from "../utils/deviceResolver.js";
 
 const router = express.Router();
 
+let exportJobs;
+export function setExportJobs(jobs) {
+  exportJobs = jobs;
+}
+
+let playbackCache;
+export function setPlaybackCache(cache) {
+  playbackCache = cache;
+}
+
+let vpartIndex;
+export function setVpartIndex(index) {
+  vpartIndex = index;
+}
+
+// Announce the export job on the response before anything is streamed
+function startJob(res, type, params) {
+  const job = exportJobs.create(type, params);
+  res.setHeader("X-Export-Job", job.id);
+  res.setHeader("Access-Control-Expose-Headers", "X-Export-Job");
+  return job;
+}
+
+// trim=keyframe (or 1) cuts the first and last vparts at the keyframes
+// nearest the requested range by stream copy; trim=exact cuts on the exact
+// frame, re-encoding only the GOPs at the cut
+const TRIM_MODES = new Map([
+  ["1", "keyframe"],
+  ["true", "keyframe"],
+  ["keyframe", "keyframe"],
+  ["exact", "exact"],
+]);
+
+// null for no trim, undefined for a value that is not a mode
+function trimMode(value) {
+  if (value === undefined || value === "0" || value === "false") return null;
+  return TRIM_MODES.get(value);
+}
+
+// Part of a vpart inside [startTime, endTime] as seconds from the vpart's
+// start, or null when all of it is inside
+function trimWindow(vpart, startTime, endTime) {
+  const offset = Math.max(0, startTime - vpart.start);
+  const until = Math.min(vpart.end, endTime) - vpart.start;
+  if (offset === 0 && until >= vpart.end - vpart.start) return null;
+  return { offset, duration: until - offset };
+}
+
+function trimToMp4(parPath, mp4Path, window, mode, deviceUrl) {
+  return mode === "exact"
+    ? smartCut(parPath, mp4Path, { ...window, deviceUrl })
+    : extractClip([{ file: parPath, ...window }], mp4Path, { deviceUrl });
+}
+
 router.get("/video/analyze", async (req, res) => {
   try {
     const { device_url, path: filePath } = req.query;
@@ -37,13 +93,16 @@ router.get("/video/analyze", async (req, res) => {
     try {
       const tempFilePath = path.join(tempDir, "temp.par");
       const fileUrl = buildDeviceUrl(deviceUrl, filePath);
-      await downloadFile(fileUrl, tempFilePath);
+      await downloadFile(fileUrl, tempFilePath, { deviceUrl, path: filePath });
 
       const analysis = await analyzeParFile(tempFilePath);
       const stats = await fs.promises.stat(tempFilePath);
       const fileSizeMB = stats.size / 1024 / 1024;
       const estimate = analysis.duration
-        ? estimateConversionTime(fileSizeMB, analysis.duration)
+        ? estimateConversionTime(fileSizeMB, analysis.duration, {
+            deviceUrl,
+            codec: analysis.videoCodec,
+          })
         : null;
 
       res.json({
@@ -68,14 +127,54 @@ router.get("/video/analyze", async (req, res) => {
   }
 });
 
+// Single vpart as a seekable MP4. The first request converts it; the file
+// is then served from the playback cache, with Range/206 handled by sendFile
+router.get("/video/play", async (req, res) => {
+  try {
+    const { device_id, path: vpartPath } = req.query;
+    if (!device_id || !vpartPath) {
+      return res.status(400).json({ error: "device_id and path are required" });
+    }
+    if (!isValidVpartPath(vpartPath)) {
+      return res.status(400).json({ error: "Invalid recording path" });
+    }
+
+    const device = await resolveDevice(device_id);
+    if (!device) return res.status(404).json({ error: "Device not found" });
+
+    const { filePath, cached } = await playbackCache.getMp4(device.url, vpartPath);
+    if (req.destroyed) return;
+
+    res.setHeader("X-Playback-Cache", cached ? "HIT" : "MISS");
+    res.setHeader("Access-Control-Expose-Headers", "X-Playback-Cache");
+    res.sendFile(filePath, {
+      acceptRanges: true,
+      headers: {
+        "Content-Type": "video/mp4",
+        "Cache-Control": "private, max-age=86400",
+      },
+    });
+  } catch (err) {
+    console.error("Play error:", err.message);
+    if (res.headersSent) return res.end();
+    res
+      .status(500)
+      .json({ error: "Failed to prepare recording", details: err.message });
+  }
+});
+
 router.get("/stream/download-zip", async (req, res) => {
-  const { device_url, cam = 1, start, end } = req.query;
+  const { device_url, cam = 1, start, end, trim } = req.query;
   if (!device_url)
     return res.status(400).json({ error: "device_url is required" });
   if (!start || !end)
     return res.status(400).json({ error: "start and end are required" });
+  const trimTo = trimMode(trim);
+  if (trimTo === undefined)
+    return res.status(400).json({ error: "trim must be keyframe or exact" });
 
   let tempDir = null;
+  let job = null;
   try {
     const deviceUrl = decodeURIComponent(device_url);
     const startTime = parseInt(start);
@@ -90,36 +189,26 @@ router.get("/stream/download-zip", async (req, res) => {
       });
     }
 
-    const vpartsUrl = buildDeviceUrl(
+    job = startJob(res, "download-zip", {
       deviceUrl,
-      `/vparts.cgi?format=csv&listlength=100&pathstyle=long&time=${startTime}&range=${range}&domain=0&cam=${camNum}`,
+      cam: camNum,
+      start: startTime,
+      end: endTime,
+      trim: trimTo,
+    });
+    exportJobs.progress(job, { phase: "listing" });
+
+    const { vparts, complete } = await vpartIndex.list(
+      deviceUrl,
+      camNum,
+      startTime,
+      endTime,
     );
-    const vpartsResponse = await netVuHttpGet(vpartsUrl, 500, 30000);
-
-    const vparts = [];
-    for (const line of vpartsResponse.data
-      .split("\n")
-      .filter((l) => l.trim())) {
-      const parts = line.split(",").map((p) => p.trim());
-      if (parts.length < 6) continue;
-
-      const vpartPath = parts[3];
-      const vpartStartTime = Number(parts[4]);
-      const vpartEndTime = Number(parts[5]);
-      const vpartDuration = vpartEndTime - vpartStartTime;
-
-      if (isNaN(vpartStartTime) || isNaN(vpartEndTime) || isNaN(vpartDuration))
-        continue;
-      if (!isValidVpartPath(vpartPath)) continue;
-
-      vparts.push({
-        path: vpartPath.replace(/\\/g, "/"),
-        start: vpartStartTime,
-        duration: vpartDuration,
-      });
-    }
+    res.setHeader("X-Listing-Complete", String(complete));
+    res.setHeader("Access-Control-Expose-Headers", "X-Export-Job, X-Listing-Complete");
 
     if (vparts.length === 0) {
+      exportJobs.fail(job, "No recordings found");
       return res
         .status(404)
         .json({ error: "No recordings found for the selected time range." });
@@ -132,6 +221,7 @@ router.get("/stream/download-zip", async (req, res) => {
     );
     await fs.promises.mkdir(tempDir, { recursive: true });
 
+    exportJobs.progress(job, { phase: "downloading", total: vparts.length });
     const parPaths = await runWithConcurrency(vparts, 3, async (vpart, i) => {
       const parFilename = path.basename(vpart.path);
       const parLocalPath = path.join(tempDir, `${i}_${parFilename}`);
@@ -140,15 +230,24 @@ router.get("/stream/download-zip", async (req, res) => {
       console.log(
         `[DownloadZIP] [${i + 1}/${vparts.length}] ${sanitizeUrlForLogging(downloadUrl)}`,
       );
-      await downloadFile(downloadUrl, parLocalPath);
+      await downloadFile(downloadUrl, parLocalPath, { deviceUrl, path: vpart.path });
+
+      // A PAR cannot be written, so trimmed vparts go in as MP4
+      const window = trimTo && trimWindow(vpart, startTime, endTime);
+      let localPath = parLocalPath;
+      if (window) {
+        localPath = path.join(tempDir, `${i}_trimmed.mp4`);
+        await trimToMp4(parLocalPath, localPath, window, trimTo, deviceUrl);
+      }
+      exportJobs.progress(job, { done: job.done + 1 });
 
-      const dateStr = new Date(vpart.start * 1000)
+      const dateStr = new Date((vpart.start + (window?.offset ?? 0)) * 1000)
         .toISOString()
         .replace(/[:.]/g, "-")
         .slice(0, 19);
       return {
-        localPath: parLocalPath,
-        zipEntry: `${deviceHost}_cam${camNum}_${dateStr}.par`,
+        localPath,
+        zipEntry: `${deviceHost}_cam${camNum}_${dateStr}.${window ? "mp4" : "par"}`,
       };
     });
 
@@ -168,6 +267,7 @@ router.get("/stream/download-zip", async (req, res) => {
     });
     archive.on("error", async (err) => {
       console.error("[DownloadZIP] Archiver error:", err);
+      exportJobs.fail(job, err);
       if (!res.headersSent)
         res.status(500).json({ error: "ZIP creation failed" });
     });
@@ -175,15 +275,21 @@ router.get("/stream/download-zip", async (req, res) => {
       console.log(
         `[DownloadZIP] ✅ ${zipName} (${(archive.pointer() / 1024 / 1024).toFixed(2)} MB)`,
       );
+      exportJobs.finish(job, { bytes: archive.pointer() });
       await cleanupTemp(tempDir).catch(() => {});
     });
+    archive.on("progress", ({ fs: written }) => {
+      exportJobs.progress(job, { bytes: written.processedBytes });
+    });
     req.on("close", async () => {
       if (!res.writableEnded) {
+        exportJobs.fail(job, "Client disconnected", { cancelled: true });
         archive.abort();
         await cleanupTemp(tempDir).catch(() => {});
       }
     });
 
+    exportJobs.progress(job, { phase: "zipping" });
     archive.pipe(res);
     for (const { localPath, zipEntry } of parPaths) {
       archive.file(localPath, { name: zipEntry });
@@ -191,6 +297,7 @@ router.get("/stream/download-zip", async (req, res) => {
     await archive.finalize();
   } catch (err) {
     console.error("[DownloadZIP] Error:", err.message);
+    if (job) exportJobs.fail(job, err);
     await cleanupTemp(tempDir).catch(() => {});
     if (!res.headersSent)
       res.status(500).json({ error: "Download failed", details: err.message });
@@ -198,13 +305,17 @@ router.get("/stream/download-zip", async (req, res) => {
 });
 
 router.get("/stream/download-zip-mp4", async (req, res) => {
-  const { device_url, cam = 1, start, end } = req.query;
+  const { device_url, cam = 1, start, end, trim } = req.query;
   if (!device_url)
     return res.status(400).json({ error: "device_url is required" });
   if (!start || !end)
     return res.status(400).json({ error: "start and end are required" });
+  const trimTo = trimMode(trim);
+  if (trimTo === undefined)
+    return res.status(400).json({ error: "trim must be keyframe or exact" });
 
   let tempDir = null;
+  let job = null;
   try {
     const deviceUrl = decodeURIComponent(device_url);
     const startTime = parseInt(start);
@@ -220,36 +331,26 @@ router.get("/stream/download-zip-mp4", async (req, res) => {
       });
     }
 
-    const vpartsUrl = buildDeviceUrl(
+    job = startJob(res, "download-zip-mp4", {
+      deviceUrl,
+      cam: camNum,
+      start: startTime,
+      end: endTime,
+      trim: trimTo,
+    });
+    exportJobs.progress(job, { phase: "listing" });
+
+    const { vparts, complete } = await vpartIndex.list(
       deviceUrl,
-      `/vparts.cgi?format=csv&listlength=100&pathstyle=long&time=${startTime}&range=${range}&domain=0&cam=${camNum}`,
+      camNum,
+      startTime,
+      endTime,
     );
-    const vpartsResponse = await netVuHttpGet(vpartsUrl, 500, 30000);
-
-    const vparts = [];
-    for (const line of vpartsResponse.data
-      .split("\n")
-      .filter((l) => l.trim())) {
-      const parts = line.split(",").map((p) => p.trim());
-      if (parts.length < 6) continue;
-
-      const vpartPath = parts[3];
-      const vpartStartTime = Number(parts[4]);
-      const vpartEndTime = Number(parts[5]);
-      const vpartDuration = vpartEndTime - vpartStartTime;
-
-      if (isNaN(vpartStartTime) || isNaN(vpartEndTime) || isNaN(vpartDuration))
-        continue;
-      if (!isValidVpartPath(vpartPath)) continue;
-
-      vparts.push({
-        path: vpartPath.replace(/\\/g, "/"),
-        start: vpartStartTime,
-        duration: vpartDuration,
-      });
-    }
+    res.setHeader("X-Listing-Complete", String(complete));
+    res.setHeader("Access-Control-Expose-Headers", "X-Export-Job, X-Listing-Complete");
 
     if (vparts.length === 0) {
+      exportJobs.fail(job, "No recordings found");
       return res
         .status(404)
         .json({ error: "No recordings found for the selected time range." });
@@ -262,6 +363,7 @@ router.get("/stream/download-zip-mp4", async (req, res) => {
     );
     await fs.promises.mkdir(tempDir, { recursive: true });
 
+    exportJobs.progress(job, { phase: "converting", total: vparts.length });
     const mp4Paths = await runWithConcurrency(vparts, 3, async (vpart, i) => {
       const parFilename = path.basename(vpart.path);
       const parLocalPath = path.join(tempDir, `${i}_${parFilename}`);
@@ -271,11 +373,17 @@ router.get("/stream/download-zip-mp4", async (req, res) => {
       console.log(
         `[DownloadZIP-MP4] [${i + 1}/${vparts.length}] ${sanitizeUrlForLogging(downloadUrl)}`,
       );
-      await downloadFile(downloadUrl, parLocalPath);
-      await convertParToMp4Single(parLocalPath, mp4LocalPath);
+      await downloadFile(downloadUrl, parLocalPath, { deviceUrl, path: vpart.path });
+      const window = trimTo && trimWindow(vpart, startTime, endTime);
+      if (window) {
+        await trimToMp4(parLocalPath, mp4LocalPath, window, trimTo, deviceUrl);
+      } else {
+        await convertParToMp4Single(parLocalPath, mp4LocalPath, { deviceUrl });
+      }
       await fs.promises.unlink(parLocalPath).catch(() => {});
+      exportJobs.progress(job, { done: job.done + 1 });
 
-      const dateStr = new Date(vpart.start * 1000)
+      const dateStr = new Date((vpart.start + (window?.offset ?? 0)) * 1000)
         .toISOString()
         .replace(/[:.]/g, "-")
         .slice(0, 19);
@@ -301,6 +409,7 @@ router.get("/stream/download-zip-mp4", async (req, res) => {
     });
     archive.on("error", async (err) => {
       console.error("[DownloadZIP-MP4] Archiver error:", err);
+      exportJobs.fail(job, err);
       if (!res.headersSent)
         res.status(500).json({ error: "ZIP creation failed" });
     });
@@ -308,15 +417,21 @@ router.get("/stream/download-zip-mp4", async (req, res) => {
       console.log(
         `[DownloadZIP-MP4] ✅ ${zipName} (${(archive.pointer() / 1024 / 1024).toFixed(2)} MB)`,
       );
+      exportJobs.finish(job, { bytes: archive.pointer() });
       await cleanupTemp(tempDir).catch(() => {});
     });
+    archive.on("progress", ({ fs: written }) => {
+      exportJobs.progress(job, { bytes: written.processedBytes });
+    });
     req.on("close", async () => {
       if (!res.writableEnded) {
+        exportJobs.fail(job, "Client disconnected", { cancelled: true });
         archive.abort();
         await cleanupTemp(tempDir).catch(() => {});
       }
     });
 
+    exportJobs.progress(job, { phase: "zipping" });
     archive.pipe(res);
     for (const { localPath, zipEntry } of mp4Paths) {
       archive.file(localPath, { name: zipEntry });
@@ -324,6 +439,7 @@ router.get("/stream/download-zip-mp4", async (req, res) => {
     await archive.finalize();
   } catch (err) {
     console.error("[DownloadZIP-MP4] Error:", err.message);
+    if (job) exportJobs.fail(job, err);
     await cleanupTemp(tempDir).catch(() => {});
     if (!res.headersSent)
       res.status(500).json({
@@ -342,8 +458,11 @@ router.post("/video/concatenate", async (req, res) => {
   }
 
   let tempDir = null;
+  let job = null;
   try {
     const deviceUrl = decodeURIComponent(device_url);
+    job = startJob(res, "concatenate", { deviceUrl, paths: paths.length });
+    exportJobs.progress(job, { phase: "downloading", total: paths.length });
     const deviceHost = new URL(deviceUrl).hostname.replace(/\./g, "_");
     tempDir = path.join(os.tmpdir(), `concat_${Date.now()}_${deviceHost}`);
     await fs.promises.mkdir(tempDir, { recursive: true });
@@ -353,16 +472,22 @@ router.post("/video/concatenate", async (req, res) => {
         tempDir,
         `${i}_${path.basename(filePath)}`,
       );
-      await downloadFile(buildDeviceUrl(deviceUrl, filePath), parLocalPath);
+      await downloadFile(buildDeviceUrl(deviceUrl, filePath), parLocalPath, {
+        deviceUrl,
+        path: filePath,
+      });
+      exportJobs.progress(job, { done: job.done + 1 });
       return parLocalPath;
     });
 
     const outputFileName = output_name || `concatenated_${Date.now()}.mp4`;
     const outputPath = path.join(tempDir, outputFileName);
 
+    exportJobs.progress(job, { phase: "converting" });
     await convertParToMp4(parFiles, outputPath, {
       preset: "fast",
       quality: 23,
+      deviceUrl,
     });
 
     res.setHeader("Content-Type", "video/mp4");
@@ -372,25 +497,30 @@ router.post("/video/concatenate", async (req, res) => {
     );
     res.setHeader("Cache-Control", "no-cache");
 
+    exportJobs.progress(job, { phase: "sending" });
     const fileStream = fs.createReadStream(outputPath);
     fileStream.pipe(res);
 
     fileStream.on("end", async () => {
+      exportJobs.finish(job, { bytes: fileStream.bytesRead });
       await cleanupTemp(tempDir).catch(() => {});
     });
     fileStream.on("error", async (err) => {
       console.error("[Concatenate] Stream error:", err);
+      exportJobs.fail(job, err);
       await cleanupTemp(tempDir).catch(() => {});
       if (!res.headersSent) res.status(500).json({ error: "Stream failed" });
     });
     req.on("close", async () => {
       if (!res.writableEnded) {
+        exportJobs.fail(job, "Client disconnected", { cancelled: true });
         fileStream.destroy();
         await cleanupTemp(tempDir).catch(() => {});
       }
     });
   } catch (err) {
     console.error("[Concatenate] Error:", err.message);
+    if (job) exportJobs.fail(job, err);
     await cleanupTemp(tempDir).catch(() => {});
     if (!res.headersSent)
       res
@@ -1,50 +1,81 @@
 import express from "express";
-import path from "path";
-import { netVuHttpGet } from "../utils/netvuClient.js";
-import { buildDeviceUrl, isValidVpartPath } from "../utils/urlHelpers.js";
-import { estimateConversionTime } from "../services/videoConverter.js";
+import {
+  estimateConversionTime,
+  formatDuration,
+  probeFileSize,
+} from "../services/videoConverter.js";
+import { deviceCodec, measuredSizes, predictSize } from "../services/conversionHistory.js";
+import { buildDeviceUrl } from "../utils/urlHelpers.js";
+import { resolveDevice } from "../utils/deviceResolver.js";
+import { runWithConcurrency } from "../utils/concurrency.js";
 
 const router = express.Router();
 
-async function fetchVparts(deviceUrl, cam, startTime, endTime) {
-  const range = endTime - startTime;
-  const url = buildDeviceUrl(
-    deviceUrl,
-    `/vparts.cgi?format=csv&listlength=100&pathstyle=long&time=${startTime}&range=${range}&domain=0&cam=${cam}`,
-  );
-  const response = await netVuHttpGet(url, 500, 30000);
-  const vparts = [];
-
-  for (const line of response.data.split("\n").filter((l) => l.trim())) {
-    const parts = line.split(",").map((p) => p.trim());
-    if (parts.length < 6) continue;
-
-    const vpartPath = parts[3];
-    const vpartStartTime = Number(parts[4]);
-    const vpartEndTime = Number(parts[5]);
-    const vpartDuration = vpartEndTime - vpartStartTime;
-
-    if (isNaN(vpartStartTime) || isNaN(vpartEndTime) || isNaN(vpartDuration))
-      continue;
-    if (!isValidVpartPath(vpartPath)) continue;
-
-    vparts.push({
-      path: vpartPath.replace(/\\/g, "/"),
-      filename: path.basename(vpartPath),
-      start: vpartStartTime,
-      end: vpartEndTime,
-      duration: vpartDuration,
-      startDate: new Date(vpartStartTime * 1000).toISOString(),
-      endDate: new Date(vpartEndTime * 1000).toISOString(),
-    });
+let thumbnailSprites = null;
+let vpartIndex = null;
+
+export function setThumbnailSprites(sprites) {
+  thumbnailSprites = sprites;
+}
+
+export function setVpartIndex(index) {
+  vpartIndex = index;
+}
+
+// Merge vparts into continuous recorded intervals within [start, end) and
+// the gaps between them. Holes shorter than minGap seconds (the recorder
+// closing one vpart and opening the next) do not count as gaps.
+export function buildCoverage(vparts, start, end, minGap) {
+  const sorted = vparts
+    .map((v) => ({ start: Math.max(v.start, start), end: Math.min(v.end, end) }))
+    .filter((v) => v.end > v.start)
+    .sort((a, b) => a.start - b.start);
+
+  const intervals = [];
+  for (const v of sorted) {
+    const last = intervals[intervals.length - 1];
+    if (last && v.start - last.end <= minGap) last.end = Math.max(last.end, v.end);
+    else intervals.push({ ...v });
+  }
+
+  const gaps = [];
+  let cursor = start;
+  for (const interval of intervals) {
+    if (interval.start > cursor) gaps.push({ start: cursor, end: interval.start });
+    cursor = interval.end;
   }
+  if (cursor < end) gaps.push({ start: cursor, end });
 
-  return vparts;
+  const withDuration = (i) => ({ ...i, duration: i.end - i.start });
+  const recordedSeconds = intervals.reduce((sum, i) => sum + i.end - i.start, 0);
+  return {
+    intervals: intervals.map(withDuration),
+    gaps: gaps.map(withDuration),
+    recordedSeconds,
+    recordedPercent: end > start ? Math.round((recordedSeconds / (end - start)) * 10000) / 100 : 0,
+  };
+}
+
+// date=YYYY-MM-DD is a calendar day shifted by tz_offset (minutes east of
+// UTC); start/end give an explicit window instead
+function coverageWindow({ date, start, end, tz_offset = 0 }) {
+  if (date) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+    const offset = parseInt(tz_offset);
+    if (!match || isNaN(offset)) return null;
+    const day = Date.UTC(match[1], match[2] - 1, match[3]);
+    if (new Date(day).toISOString().slice(0, 10) !== date) return null;
+    const dayStart = day / 1000 - offset * 60;
+    return { start: dayStart, end: dayStart + 86400 };
+  }
+  const startTime = parseInt(start);
+  const endTime = parseInt(end);
+  return endTime > startTime ? { start: startTime, end: endTime } : null;
 }
 
 router.get("/vparts", async (req, res) => {
   try {
-    const { device_url, cam = 1, start, end } = req.query;
+    const { device_url, cam = 1, start, end, refresh } = req.query;
     if (!device_url)
       return res.status(400).json({ error: "device_url is required" });
     if (!start || !end)
@@ -53,7 +84,13 @@ router.get("/vparts", async (req, res) => {
     const deviceUrl = decodeURIComponent(device_url);
     const startTime = parseInt(start);
     const endTime = parseInt(end);
-    const vparts = await fetchVparts(deviceUrl, cam, startTime, endTime);
+    const { vparts, complete, source } = await vpartIndex.list(
+      deviceUrl,
+      cam,
+      startTime,
+      endTime,
+      { refresh: refresh === "1" || refresh === "true" },
+    );
 
     res.json({
       device_url: deviceUrl,
@@ -62,6 +99,8 @@ router.get("/vparts", async (req, res) => {
       end: endTime,
       range: endTime - startTime,
       count: vparts.length,
+      complete,
+      source,
       vparts,
     });
   } catch (err) {
@@ -74,7 +113,7 @@ router.get("/vparts", async (req, res) => {
 
 router.get("/vparts/with-estimates", async (req, res) => {
   try {
-    const { device_url, cam = 1, start, end } = req.query;
+    const { device_url, cam = 1, start, end, refresh, probe } = req.query;
     if (!device_url)
       return res.status(400).json({ error: "device_url is required" });
     if (!start || !end)
@@ -83,17 +122,49 @@ router.get("/vparts/with-estimates", async (req, res) => {
     const deviceUrl = decodeURIComponent(device_url);
     const startTime = parseInt(start);
     const endTime = parseInt(end);
-    const rawVparts = await fetchVparts(deviceUrl, cam, startTime, endTime);
+    const {
+      vparts: rawVparts,
+      complete,
+      source,
+    } = await vpartIndex.list(deviceUrl, cam, startTime, endTime, {
+      refresh: refresh === "1" || refresh === "true",
+    });
+
+    // Measured sizes where known; probe=1 asks the device for the rest
+    const sizes = await measuredSizes(
+      deviceUrl,
+      rawVparts.map((v) => v.path),
+    );
+    if (probe === "1" || probe === "true") {
+      const unmeasured = rawVparts.filter((v) => !sizes.has(v.path));
+      await runWithConcurrency(unmeasured, 4, async (vpart) => {
+        const bytes = await probeFileSize(buildDeviceUrl(deviceUrl, vpart.path), {
+          deviceUrl,
+          path: vpart.path,
+        }).catch(() => null);
+        if (bytes) sizes.set(vpart.path, bytes);
+      });
+    }
 
+    // The listing does not say the codec; use the one its runs were timed with
+    const codec = deviceCodec(deviceUrl);
     let totalEstimatedSeconds = 0;
     const vparts = rawVparts.map((vpart) => {
-      const estimatedSizeMB = (vpart.duration / 30) * 1;
+      const measured = sizes.get(vpart.path);
+      const predicted = measured ? null : predictSize(deviceUrl, vpart.duration);
+      const sizeBytes = measured ?? predicted ?? (vpart.duration / 30) * 1024 * 1024;
       const conversionEstimate = estimateConversionTime(
-        estimatedSizeMB,
+        sizeBytes / 1024 / 1024,
         vpart.duration,
+        { deviceUrl, codec },
       );
       totalEstimatedSeconds += conversionEstimate.seconds;
-      return { ...vpart, estimatedConversionTime: conversionEstimate };
+      return {
+        ...vpart,
+        sizeBytes: Math.round(sizeBytes),
+        sizeSource: measured ? "measured" : predicted ? "bitrate" : "default",
+        estimatedConversionTime: conversionEstimate,
+      };
     });
 
     res.json({
@@ -103,11 +174,10 @@ router.get("/vparts/with-estimates", async (req, res) => {
       end: endTime,
       range: endTime - startTime,
       count: vparts.length,
+      complete,
+      source,
       totalEstimatedConversionSeconds: totalEstimatedSeconds,
-      totalEstimatedConversionFormatted: estimateConversionTime(
-        0,
-        totalEstimatedSeconds,
-      ).formatted,
+      totalEstimatedConversionFormatted: formatDuration(totalEstimatedSeconds),
       vparts,
     });
   } catch (err) {
@@ -119,4 +189,139 @@ router.get("/vparts/with-estimates", async (req, res) => {
   }
 });
 
+router.get("/vparts/coverage", async (req, res) => {
+  try {
+    const { device_id, cam = "1", min_gap = 5 } = req.query;
+    if (!device_id)
+      return res.status(400).json({ error: "device_id is required" });
+    if (!req.query.date && !(req.query.start && req.query.end))
+      return res.status(400).json({ error: "date or start and end are required" });
+
+    const window = coverageWindow(req.query);
+    if (!window)
+      return res.status(400).json({
+        error: "date must be YYYY-MM-DD (tz_offset in minutes) or end must be after start",
+      });
+    const cams = [...new Set(String(cam).split(",").map((c) => parseInt(c)))];
+    if (cams.some((c) => !(c >= 1 && c <= 64)))
+      return res.status(400).json({ error: "cam must be a camera number or a comma-separated list" });
+    const minGap = Math.max(0, parseInt(min_gap) || 0);
+
+    const device = await resolveDevice(device_id);
+    if (!device) return res.status(404).json({ error: "Device not found" });
+
+    // Time still to come is neither recorded nor missing
+    const { start } = window;
+    const end = Math.min(window.end, Math.floor(Date.now() / 1000));
+    if (end <= start)
+      return res.status(400).json({ error: "The requested window is in the future" });
+
+    const cameras = await runWithConcurrency(cams, 4, async (c) => {
+      try {
+        const { vparts, complete } = await vpartIndex.list(device.url, c, start, end);
+        return {
+          camera: c,
+          segments: vparts.length,
+          complete,
+          ...buildCoverage(vparts, start, end, minGap),
+        };
+      } catch (err) {
+        console.error(`Coverage error (cam ${c}):`, err.message);
+        return { camera: c, error: err.message };
+      }
+    });
+
+    const covered = cameras.filter((c) => !c.error);
+    res.json({
+      device_id: parseInt(device_id),
+      date: req.query.date,
+      start,
+      end,
+      range: end - start,
+      minGap,
+      recordedPercent: covered.length
+        ? Math.round((covered.reduce((sum, c) => sum + c.recordedPercent, 0) / covered.length) * 100) / 100
+        : null,
+      cameras,
+    });
+  } catch (err) {
+    console.error("Coverage error:", err.message);
+    res.status(500).json({ error: "Failed to build coverage", details: err.message });
+  }
+});
+
+router.get("/vparts/thumbnails", async (req, res) => {
+  try {
+    const { device_id, cam = 1, start, end, count = 20, width = 160, format } = req.query;
+    if (!device_id)
+      return res.status(400).json({ error: "device_id is required" });
+    if (!start || !end)
+      return res.status(400).json({ error: "start and end are required" });
+
+    const startTime = parseInt(start);
+    const endTime = parseInt(end);
+    const thumbCount = parseInt(count);
+    const thumbWidth = parseInt(width);
+    if (!(endTime > startTime))
+      return res.status(400).json({ error: "end must be after start" });
+    if (!(thumbCount >= 1 && thumbCount <= 200))
+      return res.status(400).json({ error: "count must be between 1 and 200" });
+    if (!(thumbWidth >= 32 && thumbWidth <= 640))
+      return res.status(400).json({ error: "width must be between 32 and 640" });
+
+    const device = await resolveDevice(device_id);
+    if (!device) return res.status(404).json({ error: "Device not found" });
+
+    const sprites = await thumbnailSprites.getSprites(
+      {
+        deviceUrl: device.url,
+        cam: parseInt(cam),
+        start: startTime,
+        end: endTime,
+        count: thumbCount,
+        width: thumbWidth,
+      },
+      async () => (await vpartIndex.list(device.url, cam, startTime, endTime)).vparts,
+    );
+
+    const base = `/api/vparts/thumbnails/${sprites.key}`;
+    res.setHeader("X-Thumbnail-Cache", sprites.cached ? "HIT" : "MISS");
+    res.setHeader("Access-Control-Expose-Headers", "X-Thumbnail-Cache");
+
+    if (format === "json") {
+      return res.json({
+        device_id: parseInt(device_id),
+        camera: parseInt(cam),
+        start: startTime,
+        end: endTime,
+        ...sprites,
+        sprite: `${base}/sprite.jpg`,
+        vtt: `${base}/thumbnails.vtt`,
+      });
+    }
+
+    res.sendFile(thumbnailSprites.resolveFile(sprites.key, "thumbnails.vtt"), {
+      headers: { "Content-Type": "text/vtt; charset=utf-8" },
+    });
+  } catch (err) {
+    console.error("Thumbnails error:", err.message);
+    res.status(err.code === "NO_RECORDING" ? 404 : 500).json({
+      error: "Failed to build thumbnails",
+      details: err.message,
+    });
+  }
+});
+
+router.get("/vparts/thumbnails/:key/:file", (req, res) => {
+  const filePath = thumbnailSprites.resolveFile(req.params.key, req.params.file);
+  if (!filePath) return res.status(404).json({ error: "Thumbnail file not found" });
+
+  res.sendFile(filePath, {
+    headers: {
+      "Content-Type": filePath.endsWith(".vtt") ? "text/vtt; charset=utf-8" : "image/jpeg",
+      "Cache-Control": "public, max-age=86400",
+    },
+  });
+});
+
 export default router;
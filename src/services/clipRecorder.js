@@ -0,0 +1,355 @@
+/**
+ * Clip Recorder - save what a running stream is showing as an MP4
+ *
+ * Attaches to a StreamManager stream as a sink and encodes it with FFmpeg:
+ *
+ * JPEG streams (replay, NVR live, mosaic): re-encoded to H.264. As in the
+ *   HLS packager, the newest frame is fed at a fixed rate so the clip runs
+ *   in wall-clock time whatever rate frames arrive at.
+ * H.264 streams (multidetector live): copied, no re-encode, starting at the
+ *   first SPS so the clip opens on a decodable keyframe.
+ *
+ * The recorder holds its own reference on the stream, so a recording keeps
+ * going after the viewer who started it leaves — until it is stopped, hits
+ * maxDuration, or the stream itself stops.
+ *
+ * Clips are written to <clipsDir>/<name>.mp4.part and renamed when FFmpeg
+ * has finalised the file; metadata lives in the clips table of netvu.db.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getDb } from "../../db.js";
+import { spawnFfmpeg } from "./videoConverter.js";
+import { createH264Sync } from "../utils/h264Sync.js";
+import { writeOrDrop } from "../utils/streamBuffers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export class ClipRecorder {
+  constructor(streamManager, options = {}) {
+    this.streamManager = streamManager;
+    this.recordings = new Map(); // streamId -> recording
+    this.clipsDir = options.clipsDir || path.join(__dirname, "../../clips");
+    this.fps = options.fps || 10;
+    this.maxDuration = options.maxDuration || 30 * 60 * 1000;
+    this.maxBufferedBytes = options.maxBufferedBytes || 4 * 1024 * 1024;
+
+    fs.mkdirSync(this.clipsDir, { recursive: true });
+    // A failed recovery leaves stale rows marked recording, but must not
+    // take the server down with it
+    this.ready = this._recover().catch((err) =>
+      console.error("[ClipRecorder] Recovery failed:", err.message),
+    );
+  }
+
+  /**
+   * Start recording a stream. Resolves with the clip row.
+   */
+  async start(streamId, options = {}) {
+    await this.ready;
+
+    const stream = this.streamManager.getStream(streamId);
+    if (!stream) {
+      const err = new Error(`Stream ${streamId} not found`);
+      err.code = "NOT_FOUND";
+      throw err;
+    }
+    if (this.recordings.has(streamId)) {
+      const err = new Error(`Stream ${streamId} is already being recorded`);
+      err.code = "ALREADY_RECORDING";
+      throw err;
+    }
+
+    const startedAt = Date.now();
+    const recordedStart = stream.type === "replay" ? (stream.position ?? stream.timestamp) : null;
+    const stamp = new Date((recordedStart ?? startedAt / 1000) * 1000)
+      .toISOString()
+      .replace(/[-:]/g, "")
+      .replace(/\..*$/, "");
+    const source = stream.device
+      ? `${stream.device.replace(/^[a-zA-Z][a-zA-Z0-9+.-]*:\/\//, "").replace(/[^\w.-]/g, "_")}_cam${stream.cam}`
+      : stream.type;
+    const id = `clip_${startedAt}_${crypto.randomBytes(3).toString("hex")}`;
+    const fileName = `${source}_${stamp}_${id.slice(-6)}.mp4`;
+    const filePath = path.join(this.clipsDir, fileName);
+
+    const isH264 = stream.format === "h264";
+    const input = isH264
+      ? ["-use_wallclock_as_timestamps", "1", "-fflags", "+genpts",
+         "-f", "h264", "-i", "pipe:0", "-c:v", "copy"]
+      : ["-f", "image2pipe", "-framerate", String(this.fps), "-c:v", "mjpeg", "-i", "pipe:0",
+         "-c:v", "libx264", "-preset", "veryfast", "-pix_fmt", "yuv420p"];
+
+    const recording = {
+      id,
+      streamId,
+      filePath,
+      ffmpeg: null,
+      starting: null,
+      latestFrame: null,
+      sync: isH264 ? createH264Sync() : null,
+      ticker: null,
+      limitTimer: null,
+      detach: null,
+      frames: 0,
+      written: 0,
+      dropped: 0,
+      recordedEnd: null,
+      startedAt,
+      finished: null,
+    };
+
+    // Claim the stream before the first await, so a concurrent start for
+    // it is refused rather than recording it twice
+    this.recordings.set(streamId, recording);
+    recording.starting = getDb().then((db) =>
+      db.run(
+        `INSERT INTO clips (id, stream_id, stream_type, device, cam, label, file_name, status, started_at, recorded_start)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 'recording', ?, ?)`,
+        id,
+        streamId,
+        stream.type,
+        stream.device ?? null,
+        stream.cam ?? null,
+        options.label ?? null,
+        fileName,
+        startedAt,
+        recordedStart,
+      ),
+    );
+    try {
+      await recording.starting;
+    } catch (err) {
+      this.recordings.delete(streamId);
+      throw err;
+    }
+
+    // The stream may have stopped while the row was written
+    if (!this.streamManager.retainStream(streamId)) {
+      this.recordings.delete(streamId);
+      const db = await getDb();
+      await db.run(
+        "UPDATE clips SET status = 'failed', ended_at = ?, error = ? WHERE id = ?",
+        Date.now(),
+        "Stream stopped before recording started",
+        id,
+      );
+      const err = new Error(`Stream ${streamId} not found`);
+      err.code = "NOT_FOUND";
+      throw err;
+    }
+    const ffmpeg = spawnFfmpeg(
+      [...input, "-movflags", "+faststart", "-f", "mp4", "-y", `${filePath}.part`],
+      `Record ${id}`,
+    );
+    recording.ffmpeg = ffmpeg;
+
+    recording.detach = this.streamManager.addSink(streamId, {
+      onFrame: (frame, meta) => {
+        recording.latestFrame = frame;
+        recording.frames++;
+        if (meta.time !== null) recording.recordedEnd = meta.time;
+      },
+      onData: (chunk) => {
+        recording.frames++;
+        const data = recording.sync(chunk);
+        if (data) writeOrDrop(recording, data, this.maxBufferedBytes);
+      },
+      onStop: (reason) => this.stop(streamId, { release: false, reason: `stream stopped: ${reason}` }),
+    });
+
+    if (!isH264) {
+      recording.ticker = setInterval(() => {
+        if (recording.latestFrame) writeOrDrop(recording, recording.latestFrame, this.maxBufferedBytes);
+      }, 1000 / this.fps);
+    }
+
+    const maxDuration = Math.min(options.maxDuration || this.maxDuration, this.maxDuration);
+    recording.limitTimer = setTimeout(
+      () => this.stop(streamId, { reason: "max duration reached" }),
+      maxDuration,
+    );
+
+    // FFmpeg dying mid-recording ends the recording too
+    ffmpeg.on("close", () => {
+      if (this.recordings.get(streamId) === recording) {
+        this.stop(streamId, { reason: "encoder exited" });
+      }
+    });
+
+    console.log(`[ClipRecorder] Recording ${streamId} to ${fileName}`);
+    return this.getClip(id);
+  }
+
+  /**
+   * Stop recording a stream and wait for the clip to be finalised.
+   * release: false when the stream is already gone. Resolves with the
+   * clip row, or null when the stream was not being recorded.
+   */
+  async stop(streamId, { release = true, reason = "stopped" } = {}) {
+    const recording = this.recordings.get(streamId);
+    if (!recording) return null;
+    if (recording.finished) return recording.finished;
+    if (!recording.ffmpeg) {
+      // Still starting: stop it once it runs (or find it gone if it failed)
+      await recording.starting.catch(() => {});
+      return this.recordings.has(streamId) ? this.stop(streamId, { release, reason }) : null;
+    }
+
+    recording.finished = this._finish(recording, release, reason);
+    return recording.finished;
+  }
+
+  async getClip(id) {
+    const db = await getDb();
+    const clip = await db.get("SELECT * FROM clips WHERE id = ?", id);
+    return clip ? this._present(clip) : null;
+  }
+
+  /**
+   * Clips, newest first. Filters: device, cam, status.
+   */
+  async listClips({ device, cam, status, limit = 100, offset = 0 } = {}) {
+    const where = [];
+    const params = [];
+    if (device) {
+      where.push("device = ?");
+      params.push(device);
+    }
+    if (cam) {
+      where.push("cam = ?");
+      params.push(cam);
+    }
+    if (status) {
+      where.push("status = ?");
+      params.push(status);
+    }
+
+    const db = await getDb();
+    const clause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    const rows = await db.all(
+      `SELECT * FROM clips ${clause} ORDER BY started_at DESC LIMIT ? OFFSET ?`,
+      ...params,
+      limit,
+      offset,
+    );
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM clips ${clause}`, ...params);
+    return { total, clips: rows.map((row) => this._present(row)) };
+  }
+
+  /**
+   * Absolute path of a finished clip, or null.
+   */
+  async resolveClipFile(id) {
+    const clip = await this.getClip(id);
+    if (!clip || clip.status !== "done") return null;
+    const filePath = path.join(this.clipsDir, clip.file_name);
+    return fs.existsSync(filePath) ? { clip, filePath } : null;
+  }
+
+  /**
+   * Delete a clip and its file. A clip still recording cannot be deleted.
+   */
+  async deleteClip(id) {
+    const clip = await this.getClip(id);
+    if (!clip) return false;
+    if (clip.status === "recording") {
+      const err = new Error("Clip is still recording");
+      err.code = "ALREADY_RECORDING";
+      throw err;
+    }
+
+    const db = await getDb();
+    await db.run("DELETE FROM clips WHERE id = ?", id);
+    fs.rm(path.join(this.clipsDir, clip.file_name), { force: true }, () => {});
+    return true;
+  }
+
+  getRecordings() {
+    return Array.from(this.recordings.values()).map((r) => ({
+      clipId: r.id,
+      streamId: r.streamId,
+      duration: Date.now() - r.startedAt,
+      frames: r.frames,
+      written: r.written,
+      dropped: r.dropped,
+    }));
+  }
+
+  cleanup() {
+    Array.from(this.recordings.keys()).forEach((id) => this.stop(id, { reason: "server shutdown" }));
+  }
+
+  async _finish(recording, release, reason) {
+    const { id, streamId, ffmpeg, filePath } = recording;
+
+    clearInterval(recording.ticker);
+    clearTimeout(recording.limitTimer);
+    recording.detach();
+
+    const exitCode = await new Promise((resolve) => {
+      if (ffmpeg.exitCode !== null) return resolve(ffmpeg.exitCode);
+      const killTimer = setTimeout(() => ffmpeg.kill("SIGKILL"), 30000);
+      ffmpeg.once("close", (code) => {
+        clearTimeout(killTimer);
+        resolve(code);
+      });
+      ffmpeg.stdin.end();
+    });
+
+    this.recordings.delete(streamId);
+    if (release) this.streamManager.releaseStream(streamId);
+
+    const partPath = `${filePath}.part`;
+    const size = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+    const ok = exitCode === 0 && size > 0;
+    if (ok) fs.renameSync(partPath, filePath);
+    else fs.rm(partPath, { force: true }, () => {});
+
+    const db = await getDb();
+    await db.run(
+      `UPDATE clips SET status = ?, ended_at = ?, recorded_end = ?, frames = ?, size_bytes = ?, error = ?
+       WHERE id = ?`,
+      ok ? "done" : "failed",
+      Date.now(),
+      recording.recordedEnd,
+      recording.frames,
+      ok ? size : null,
+      ok ? null : `FFmpeg exited ${exitCode} (${reason})`,
+      id,
+    );
+
+    console.log(
+      `[ClipRecorder] ${ok ? "✅ Saved" : "❌ Failed"} ${id} (${reason}, ${(size / 1024 / 1024).toFixed(2)} MB, ${recording.dropped} dropped)`,
+    );
+    return this.getClip(id);
+  }
+
+  // Recordings cut short by a restart can never be finalised
+  async _recover() {
+    const db = await getDb();
+    const stale = await db.all("SELECT id, file_name FROM clips WHERE status = 'recording'");
+    for (const clip of stale) {
+      fs.rm(path.join(this.clipsDir, `${clip.file_name}.part`), { force: true }, () => {});
+      await db.run(
+        "UPDATE clips SET status = 'failed', error = ? WHERE id = ?",
+        "Server restarted during recording",
+        clip.id,
+      );
+    }
+    if (stale.length) console.log(`[ClipRecorder] Marked ${stale.length} interrupted clip(s) failed`);
+  }
+
+  _present(row) {
+    return {
+      ...row,
+      duration: row.ended_at ? (row.ended_at - row.started_at) / 1000 : (Date.now() - row.started_at) / 1000,
+      download: row.status === "done" ? `/api/clips/${row.id}/download` : null,
+    };
+  }
+}
+
+export default ClipRecorder;
@@ -0,0 +1,268 @@
+/**
+ * Conversion History - measured PAR sizes and FFmpeg run times
+ *
+ * Two things are recorded as they happen:
+ *
+ *  - the size of every PAR downloaded or probed (Content-Length), stored on
+ *    its vparts row, from which each device's recording bitrate follows
+ *  - the wall-clock time of every FFmpeg run (conversion_runs), with its
+ *    kind: "copy" or "encode" for a whole file, "partial" for clips and
+ *    cuts that read only part of their input
+ *
+ * Whole-file runs feed least-squares fits of seconds against input MB per
+ * device and codec, one for stream copies and one for re-encodes; partial
+ * runs read too little of their input to belong in either. A PAR is
+ * converted by stream copy, falling back to a re-encode when the copy
+ * fails, so the estimate is the copy time plus the re-encode time weighted
+ * by how often copies of that device and codec have failed.
+ *
+ * predictConversion() uses the most specific fits that have enough
+ * samples (device+codec, device, codec, all), names the path it estimated
+ * and says how far to trust it: confidence is 0..1, from the fits'
+ * relative error and the number of samples behind them.
+ */
+
+import { getDb } from "../../db.js";
+import { normalizeDeviceUrl } from "../utils/urlHelpers.js";
+
+const MIN_SAMPLES = 3;
+const MAX_SAMPLES = 200; // most recent runs per fit
+const FULL_CONFIDENCE_SAMPLES = 20;
+const RELOAD_DELAY = 5000; // runs and sizes arriving together refit once
+
+let fits = new Map(); // "kind|device|codec" (device or codec may be "*") -> fit
+let fallbacks = new Map(); // "device|codec" -> share of stream copies that failed
+let codecs = new Map(); // device_url -> codec of most of its runs
+let bitrates = new Map(); // device_url -> bytes per second of recording
+let reloadTimer = null;
+
+function normalizeUrl(deviceUrl) {
+  return deviceUrl ? normalizeDeviceUrl(deviceUrl) : null;
+}
+
+function scheduleReload() {
+  if (reloadTimer) return;
+  reloadTimer = setTimeout(() => {
+    reloadTimer = null;
+    loadConversionHistory().catch((err) =>
+      console.warn(`[ConversionHistory] Reload failed: ${err.message}`),
+    );
+  }, RELOAD_DELAY);
+  reloadTimer.unref();
+}
+
+// Least-squares y = a + b·x, with the relative RMS error of the fit
+function fitLine(samples) {
+  const n = samples.length;
+  const meanX = samples.reduce((sum, s) => sum + s.x, 0) / n;
+  const meanY = samples.reduce((sum, s) => sum + s.y, 0) / n;
+  const varX = samples.reduce((sum, s) => sum + (s.x - meanX) ** 2, 0);
+
+  let a;
+  let b;
+  if (varX > 0) {
+    b = samples.reduce((sum, s) => sum + (s.x - meanX) * (s.y - meanY), 0) / varX;
+    a = meanY - b * meanX;
+  } else {
+    // Every input the same size: the best guess is the mean rate
+    a = 0;
+    b = meanX > 0 ? meanY / meanX : 0;
+  }
+
+  const rmse = Math.sqrt(
+    samples.reduce((sum, s) => sum + (s.y - (a + b * s.x)) ** 2, 0) / n,
+  );
+  const relativeError = meanY > 0 ? rmse / meanY : 1;
+  const confidence = Math.max(0, 1 - relativeError) * Math.min(1, n / FULL_CONFIDENCE_SAMPLES);
+  return { a, b, n, confidence: Math.round(confidence * 100) / 100 };
+}
+
+/**
+ * Rebuild the fits and bitrates from the database. Called at startup, and
+ * a few seconds after new runs or sizes are recorded.
+ */
+export async function loadConversionHistory() {
+  const db = await getDb();
+
+  const runs = await db.all(
+    `SELECT device_url, codec, kind, ok, input_bytes, wall_ms FROM conversion_runs
+     WHERE kind IN ('copy', 'encode') AND input_bytes > 0 ORDER BY id DESC LIMIT 5000`,
+  );
+  const groups = new Map();
+  const copies = new Map(); // "device|codec" -> { attempts, failed }
+  const codecCounts = new Map(); // device_url -> codec -> runs
+  for (const run of runs) {
+    const device = run.device_url || "*";
+    const codec = run.codec || "*";
+    const keys = new Set([`${device}|${codec}`, `${device}|*`, `*|${codec}`, "*|*"]);
+
+    if (run.kind === "copy") {
+      keys.forEach((key) => {
+        const counts = copies.get(key) || { attempts: 0, failed: 0 };
+        counts.attempts++;
+        if (!run.ok) counts.failed++;
+        copies.set(key, counts);
+      });
+    }
+    if (run.device_url && run.codec) {
+      const counts = codecCounts.get(run.device_url) || new Map();
+      counts.set(run.codec, (counts.get(run.codec) || 0) + 1);
+      codecCounts.set(run.device_url, counts);
+    }
+    if (!run.ok) continue;
+
+    const sample = { x: run.input_bytes / 1024 / 1024, y: run.wall_ms / 1000 };
+    keys.forEach((key) => {
+      const groupKey = `${run.kind}|${key}`;
+      if (!groups.has(groupKey)) groups.set(groupKey, []);
+      const samples = groups.get(groupKey);
+      if (samples.length < MAX_SAMPLES) samples.push(sample);
+    });
+  }
+  fits = new Map(
+    Array.from(groups)
+      .filter(([, samples]) => samples.length >= MIN_SAMPLES)
+      .map(([key, samples]) => [key, fitLine(samples)]),
+  );
+  fallbacks = new Map(
+    Array.from(copies)
+      .filter(([, c]) => c.attempts >= MIN_SAMPLES)
+      .map(([key, c]) => [key, c.failed / c.attempts]),
+  );
+  codecs = new Map(
+    Array.from(codecCounts).map(([device, counts]) => [
+      device,
+      Array.from(counts).sort((a, b) => b[1] - a[1])[0][0],
+    ]),
+  );
+
+  const measured = await db.all(
+    `SELECT device_url, SUM(size_bytes) AS bytes, SUM(end_time - start_time) AS seconds, COUNT(*) AS n
+     FROM vparts WHERE size_bytes > 0 AND end_time > start_time GROUP BY device_url`,
+  );
+  bitrates = new Map(
+    measured
+      .filter((m) => m.n >= MIN_SAMPLES)
+      .map((m) => [m.device_url, m.bytes / m.seconds]),
+  );
+}
+
+/**
+ * Store the size of a device's vpart on its vparts row. Vparts the index
+ * does not know are ignored.
+ */
+export async function recordVpartSize(deviceUrl, vpartPath, bytes) {
+  if (!(bytes > 0) || !deviceUrl || !vpartPath) return;
+  const db = await getDb();
+  const { changes } = await db.run(
+    "UPDATE vparts SET size_bytes = ? WHERE device_url = ? AND path = ?",
+    bytes,
+    normalizeUrl(deviceUrl),
+    vpartPath.replace(/\\/g, "/"),
+  );
+  if (changes > 0) scheduleReload();
+}
+
+/**
+ * Measured sizes of the given vpart paths of a device, as path -> bytes.
+ */
+export async function measuredSizes(deviceUrl, paths) {
+  const db = await getDb();
+  const rows = await db.all(
+    "SELECT path, size_bytes FROM vparts WHERE device_url = ? AND size_bytes > 0",
+    normalizeUrl(deviceUrl),
+  );
+  const wanted = new Set(paths);
+  return new Map(rows.filter((r) => wanted.has(r.path)).map((r) => [r.path, r.size_bytes]));
+}
+
+export async function recordConversionRun({ deviceUrl, codec, label, kind, ok, inputBytes, mediaSeconds, wallMs }) {
+  const db = await getDb();
+  await db.run(
+    `INSERT INTO conversion_runs (device_url, codec, label, kind, ok, input_bytes, media_seconds, wall_ms)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    normalizeUrl(deviceUrl),
+    codec || null,
+    label,
+    kind || null,
+    ok ? 1 : 0,
+    inputBytes ?? null,
+    mediaSeconds ?? null,
+    wallMs,
+  );
+  if ((kind === "copy" || (ok && kind === "encode")) && inputBytes > 0) scheduleReload();
+}
+
+/**
+ * Predicted conversion time of a file of `sizeMB`, or null when no fit has
+ * enough history yet. Resolves to { seconds, confidence, basis, samples,
+ * path, fallbackRate }: path is "copy" for a stream copy with the
+ * re-encode fallback weighted in at fallbackRate, or "encode" when only
+ * re-encodes have been timed (fallbackRate is then null).
+ */
+export function predictConversion({ deviceUrl, codec, sizeMB }) {
+  if (!(sizeMB > 0)) return null;
+  const device = normalizeUrl(deviceUrl) || "*";
+  const candidates = [
+    [`${device}|${codec || "*"}`, "device+codec"],
+    [`${device}|*`, "device"],
+    [`*|${codec || "*"}`, "codec"],
+    ["*|*", "all"],
+  ];
+  const at = (fit) => fit.a + fit.b * sizeMB;
+  for (const [key, basis] of candidates) {
+    const copy = fits.get(`copy|${key}`);
+    const encode = fits.get(`encode|${key}`);
+    const fallbackRate = fallbacks.get(key) ?? null;
+
+    if (copy && fallbackRate !== null && (fallbackRate === 0 || encode)) {
+      const weighted = fallbackRate > 0 ? [copy, encode] : [copy];
+      return {
+        seconds: Math.max(1, Math.ceil(at(copy) + (fallbackRate > 0 ? fallbackRate * at(encode) : 0))),
+        confidence: Math.min(...weighted.map((fit) => fit.confidence)),
+        basis,
+        samples: weighted.reduce((sum, fit) => sum + fit.n, 0),
+        path: "copy",
+        fallbackRate: Math.round(fallbackRate * 100) / 100,
+      };
+    }
+    if (encode && !copy) {
+      return {
+        seconds: Math.max(1, Math.ceil(at(encode))),
+        confidence: encode.confidence,
+        basis,
+        samples: encode.n,
+        path: "encode",
+        fallbackRate: null,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Codec of most of a device's timed conversions, or null if none were
+ * timed. Lets callers that have not opened a file use its codec's fits.
+ */
+export function deviceCodec(deviceUrl) {
+  return codecs.get(normalizeUrl(deviceUrl)) ?? null;
+}
+
+/**
+ * Size of `durationSeconds` of recording on a device at its measured
+ * bitrate, or null if too few of its files have been measured.
+ */
+export function predictSize(deviceUrl, durationSeconds) {
+  const bitrate = bitrates.get(normalizeUrl(deviceUrl));
+  return bitrate ? Math.round(bitrate * durationSeconds) : null;
+}
+
+export default {
+  loadConversionHistory,
+  recordVpartSize,
+  measuredSizes,
+  recordConversionRun,
+  predictConversion,
+  deviceCodec,
+  predictSize,
+};
@@ -0,0 +1,107 @@
+/**
+ * Device Monitor - periodic reachability checks of the configured devices
+ *
+ * Every `interval` ms each device in the devices table gets a plain GET /.
+ * A device that answers is reachable; a timeout or network error is not.
+ * Only changes are announced, as a "device-status" event:
+ *
+ *   { deviceId, name, address, reachable, previous, error, since }
+ *
+ * previous is null the first time a device is checked. Checks done
+ * elsewhere (GET /api/health/:id) are fed in through report().
+ */
+
+import { EventEmitter } from "events";
+import { getDb } from "../../db.js";
+import { netVuHttpGet } from "../utils/netvuClient.js";
+import { deviceBaseUrl } from "../utils/deviceResolver.js";
+import { runWithConcurrency } from "../utils/concurrency.js";
+
+export class DeviceMonitor extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.interval = options.interval || 60000;
+    this.timeout = options.timeout || 5000;
+    this.concurrency = options.concurrency || 4;
+    this.devices = new Map(); // deviceId -> status
+    this.timer = null;
+    this.checking = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.checkAll();
+    this.timer = setInterval(() => this.checkAll(), this.interval);
+    this.timer.unref();
+  }
+
+  /**
+   * Check every device once. Overlapping calls share the run in progress.
+   */
+  checkAll() {
+    if (this.checking) return this.checking;
+    this.checking = (async () => {
+      try {
+        const db = await getDb();
+        const devices = await db.all("SELECT * FROM devices");
+
+        // Deleted devices stop being reported
+        const ids = new Set(devices.map((d) => d.id));
+        Array.from(this.devices.keys()).forEach((id) => {
+          if (!ids.has(id)) this.devices.delete(id);
+        });
+
+        await runWithConcurrency(devices, this.concurrency, async (device) => {
+          try {
+            await netVuHttpGet(`${deviceBaseUrl(device)}/`, 500, this.timeout);
+            this.report(device, true);
+          } catch (err) {
+            this.report(device, false, err.message);
+          }
+        });
+      } catch (err) {
+        console.error("[DeviceMonitor] Check failed:", err.message);
+      } finally {
+        this.checking = null;
+      }
+    })();
+    return this.checking;
+  }
+
+  /**
+   * Record the outcome of a reachability check of a device row.
+   */
+  report(device, reachable, error = null) {
+    const now = Date.now();
+    const previous = this.devices.get(device.id);
+    const status = {
+      deviceId: device.id,
+      name: device.name,
+      address: device.ip_address,
+      reachable,
+      error: reachable ? null : error,
+      since: previous?.reachable === reachable ? previous.since : now,
+      checkedAt: now,
+    };
+    this.devices.set(device.id, status);
+
+    if (previous?.reachable === reachable) return;
+    if (previous || !reachable) {
+      console.log(
+        `[DeviceMonitor] ${device.name} (${device.ip_address}) is ${reachable ? "reachable" : `unreachable: ${error}`}`,
+      );
+    }
+    this.emit("device-status", { ...status, previous: previous?.reachable ?? null });
+  }
+
+  getStatus() {
+    return Array.from(this.devices.values());
+  }
+
+  cleanup() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export default DeviceMonitor;
@@ -0,0 +1,179 @@
+/**
+ * Event Clips - the footage around an alarm as one MP4
+ *
+ * For an event row the clip runs from `pre` seconds before the event to
+ * `post` seconds after it ends (time + duration). The vparts covering that
+ * window are downloaded, each is cut to its part of the window and the
+ * pieces are joined into one MP4 with extractClip.
+ *
+ * Clips are kept in <tmp>/kamsguard_event_clips/<key>.mp4, one per event
+ * and pre/post, so asking again is instant. Concurrent requests for the
+ * same clip share one export. Least recently fetched clips are removed
+ * once the cache grows past maxBytes, except those still being sent.
+ *
+ * A window that is still being recorded (ending within the index's recent
+ * edge) or only partly listed is exported to a provisional file that is
+ * served once and deleted, never cached.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { buildDeviceUrl, sanitizeUrlForLogging } from "../utils/urlHelpers.js";
+import { deviceBaseUrl } from "../utils/deviceResolver.js";
+import { downloadFile, extractClip, cleanupTemp } from "./videoConverter.js";
+
+export class EventClips {
+  constructor(vpartIndex, options = {}) {
+    this.vpartIndex = vpartIndex;
+    this.rootDir = options.rootDir || path.join(os.tmpdir(), "kamsguard_event_clips");
+    this.maxBytes = options.maxBytes || 2 * 1024 * 1024 * 1024;
+    this.pending = new Map(); // key -> Promise<{ filePath, provisional }>
+    this.readers = new Map(); // filePath -> responses still sending it
+
+    fs.mkdirSync(this.rootDir, { recursive: true });
+    // Exports cut short by a restart, and provisional clips never released
+    fs.readdirSync(this.rootDir)
+      .filter((f) => f.startsWith("work_") || f.startsWith("provisional_"))
+      .forEach((f) => fs.rmSync(path.join(this.rootDir, f), { recursive: true, force: true }));
+  }
+
+  keyFor(event, pre, post) {
+    return crypto
+      .createHash("sha1")
+      .update([event.device_ip, event.id, pre, post].join("|"))
+      .digest("hex")
+      .slice(0, 16);
+  }
+
+  /**
+   * MP4 of an event row (from the events table) with `pre`/`post` seconds
+   * around it. Resolves with
+   * { key, filePath, cached, provisional, start, end, release }. The file
+   * is not evicted until release() is called, once it has been sent; a
+   * provisional one is deleted then. Rejects with err.code NO_RECORDING when nothing was recorded in
+   * the window.
+   */
+  async getClip(event, { pre, post }) {
+    const key = this.keyFor(event, pre, post);
+    const cachePath = path.join(this.rootDir, `${key}.mp4`);
+    const start = event.time - pre;
+    const end = event.time + (event.duration || 0) + post;
+
+    // Another export may evict the clip (or release a provisional one)
+    // between its export and this read; export it again then
+    let clip = { filePath: cachePath, provisional: false };
+    let cached = true;
+    while (!fs.existsSync(clip.filePath)) {
+      cached = false;
+      if (!this.pending.has(key)) {
+        const job = this._export(key, cachePath, event, start, end).finally(() =>
+          this.pending.delete(key),
+        );
+        this.pending.set(key, job);
+      }
+      clip = await this.pending.get(key);
+    }
+
+    const { filePath, provisional } = clip;
+    // mtime doubles as "last fetched" for eviction
+    const now = new Date();
+    fs.utimes(filePath, now, now, () => {});
+    this.readers.set(filePath, (this.readers.get(filePath) || 0) + 1);
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      const count = this.readers.get(filePath) - 1;
+      if (count > 0) return this.readers.set(filePath, count);
+      this.readers.delete(filePath);
+      if (provisional) fs.rm(filePath, { force: true }, () => {});
+    };
+    return { key, filePath, cached, provisional, start, end, release };
+  }
+
+  async _export(key, cachePath, event, start, end) {
+    // device_ip is the device's address as stored, which may be a bare IP
+    const deviceUrl = deviceBaseUrl({ ip_address: event.device_ip });
+    const { vparts, complete } = await this.vpartIndex.list(deviceUrl, event.cam, start, end);
+    if (vparts.length === 0) {
+      const err = new Error(
+        `No recording of camera ${event.cam} between ${new Date(start * 1000).toISOString()} and ${new Date(end * 1000).toISOString()}`,
+      );
+      err.code = "NO_RECORDING";
+      throw err;
+    }
+
+    const workDir = path.join(this.rootDir, `work_${key}_${Date.now()}`);
+    fs.mkdirSync(workDir, { recursive: true });
+    const startedAt = Date.now();
+    let filePath;
+    let provisional;
+    try {
+      const parFiles = [];
+      for (const [i, vpart] of vparts.entries()) {
+        const url = buildDeviceUrl(deviceUrl, vpart.path);
+        console.log(
+          `[EventClips] Event ${event.id} [${i + 1}/${vparts.length}] ${sanitizeUrlForLogging(url)}`,
+        );
+        const parPath = path.join(workDir, `${i}_${path.basename(vpart.path)}`);
+        await downloadFile(url, parPath, { deviceUrl, path: vpart.path });
+        parFiles.push(parPath);
+      }
+
+      // Each vpart is cut at its own times, so gaps between recordings (and
+      // a window reaching past the first or last) do not shift the event
+      const parts = vparts.map((vpart, i) => {
+        const from = Math.max(start, vpart.start);
+        return {
+          file: parFiles[i],
+          offset: from - vpart.start,
+          duration: Math.min(end, vpart.end) - from,
+        };
+      });
+      const mp4Path = path.join(workDir, "clip.mp4");
+      await extractClip(parts, mp4Path, { deviceUrl });
+
+      // Footage still being recorded must not be served from cache
+      const settled = Math.floor(Date.now() / 1000) - this.vpartIndex.edge;
+      provisional = end > settled || !complete;
+      filePath = provisional
+        ? path.join(this.rootDir, `provisional_${key}_${Date.now()}.mp4`)
+        : cachePath;
+      fs.renameSync(mp4Path, filePath);
+
+      console.log(
+        `[EventClips] ✅ Event ${event.id} → ${path.basename(filePath)} (${(fs.statSync(filePath).size / 1024 / 1024).toFixed(2)} MB, ${((Date.now() - startedAt) / 1000).toFixed(1)}s)`,
+      );
+    } finally {
+      await cleanupTemp(workDir);
+    }
+    if (!provisional) this._evict(filePath);
+    return { filePath, provisional };
+  }
+
+  // Drop least recently fetched clips until the cache fits; never the one
+  // just exported or one still being sent
+  _evict(keep) {
+    const files = fs
+      .readdirSync(this.rootDir)
+      .filter((f) => /^[0-9a-f]{16}\.mp4$/.test(f))
+      .map((f) => {
+        const filePath = path.join(this.rootDir, f);
+        const stat = fs.statSync(filePath);
+        return { filePath, size: stat.size, mtime: stat.mtimeMs };
+      })
+      .sort((a, b) => a.mtime - b.mtime);
+    let total = files.reduce((sum, f) => sum + f.size, 0);
+    for (const file of files) {
+      if (total <= this.maxBytes) break;
+      if (file.filePath === keep || this.readers.has(file.filePath)) continue;
+      fs.rmSync(file.filePath, { force: true });
+      total -= file.size;
+      console.log(`[EventClips] Evicted ${path.basename(file.filePath)}`);
+    }
+  }
+}
+
+export default EventClips;
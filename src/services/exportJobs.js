@@ -0,0 +1,102 @@
+/**
+ * Export Jobs - progress of recording exports (ZIP, MP4 conversion)
+ *
+ * The export routes stream their result straight back to the caller, so a
+ * job here is only a progress record: the route creates one, reports each
+ * step and ends it. Every change is emitted:
+ *
+ *   "job-started"   job
+ *   "job-progress"  job  phase, done/total items, bytes written
+ *   "job-finished"  job
+ *   "job-failed"    job  error; state "cancelled" when the caller went away
+ *
+ * Running jobs and the last `keep` ended ones are listed by getJobs().
+ */
+
+import crypto from "crypto";
+import { EventEmitter } from "events";
+
+export class ExportJobs extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.jobs = new Map();
+    this.keep = options.keep || 50;
+  }
+
+  create(type, params = {}) {
+    const job = {
+      id: `job_${Date.now()}_${crypto.randomBytes(3).toString("hex")}`,
+      type,
+      params,
+      state: "running",
+      phase: "starting",
+      done: 0,
+      total: null,
+      bytes: 0,
+      error: null,
+      startedAt: Date.now(),
+      endedAt: null,
+    };
+    this.jobs.set(job.id, job);
+    this.emit("job-started", this._present(job));
+    return job;
+  }
+
+  progress(job, fields) {
+    if (job.state !== "running") return;
+    Object.assign(job, fields);
+    this.emit("job-progress", this._present(job));
+  }
+
+  finish(job, fields = {}) {
+    if (job.state !== "running") return;
+    Object.assign(job, fields, { state: "done", phase: "done", endedAt: Date.now() });
+    this.emit("job-finished", this._present(job));
+    this._prune();
+  }
+
+  fail(job, error, { cancelled = false } = {}) {
+    if (job.state !== "running") return;
+    Object.assign(job, {
+      state: cancelled ? "cancelled" : "failed",
+      error: error?.message ?? error ?? null,
+      endedAt: Date.now(),
+    });
+    this.emit("job-failed", this._present(job));
+    this._prune();
+  }
+
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this._present(job) : null;
+  }
+
+  getJobs() {
+    return Array.from(this.jobs.values()).map((job) => this._present(job));
+  }
+
+  _present(job) {
+    return {
+      jobId: job.id,
+      type: job.type,
+      params: job.params,
+      state: job.state,
+      phase: job.phase,
+      done: job.done,
+      total: job.total,
+      percent: job.total ? Math.round((job.done / job.total) * 100) : null,
+      bytes: job.bytes,
+      error: job.error,
+      startedAt: job.startedAt,
+      duration: (job.endedAt ?? Date.now()) - job.startedAt,
+    };
+  }
+
+  // Drop the oldest ended jobs beyond `keep`
+  _prune() {
+    const ended = Array.from(this.jobs.values()).filter((j) => j.state !== "running");
+    ended.slice(0, Math.max(0, ended.length - this.keep)).forEach((j) => this.jobs.delete(j.id));
+  }
+}
+
+export default ExportJobs;
@@ -0,0 +1,207 @@
+/**
+ * HLS Packager - rolling HLS playlists for StreamManager streams
+ *
+ * For clients that cannot render multipart/x-mixed-replace (mobile, Smart TV).
+ *
+ * JPEG streams (replay, NVR live): re-encoded to H.264. Frames are fed to
+ *   FFmpeg at a fixed rate, repeating or skipping source frames, so segment
+ *   timing follows the wall clock whatever rate the device pushes at.
+ * H.264 streams (multidetector live): copied into MPEG-TS, no re-encode,
+ *   starting at the first SPS so the first segment is decodable.
+ *
+ * Output lives in <tmp>/kamsguard_hls/<streamId>/ and is removed when the
+ * stream stops, or when nobody has fetched the playlist for idleTimeout ms.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnFfmpeg } from "./videoConverter.js";
+import { createH264Sync } from "../utils/h264Sync.js";
+import { writeOrDrop } from "../utils/streamBuffers.js";
+
+const PLAYLIST = "index.m3u8";
+const HLS_FILE_PATTERN = /^(index\.m3u8|seg_\d+\.ts)$/;
+
+export class HlsPackager {
+  constructor(streamManager, options = {}) {
+    this.streamManager = streamManager;
+    this.outputs = new Map();
+    this.rootDir = options.rootDir || path.join(os.tmpdir(), "kamsguard_hls");
+    this.fps = options.fps || 10;
+    this.segmentSeconds = options.segmentSeconds || 2;
+    this.listSize = options.listSize || 6;
+    this.idleTimeout = options.idleTimeout || 30000;
+    this.maxBufferedBytes = options.maxBufferedBytes || 4 * 1024 * 1024;
+
+    // Segments left behind by a previous run are never served again
+    fs.rmSync(this.rootDir, { recursive: true, force: true });
+
+    this.idleTimer = setInterval(() => this._stopIdle(), 5000);
+    this.idleTimer.unref();
+  }
+
+  /**
+   * Start packaging a stream the caller holds a reference on. The packager
+   * takes that reference over and releases it when the output stops.
+   * A stream that is already being packaged returns its existing output.
+   */
+  start(stream) {
+    const existing = this.outputs.get(stream.id);
+    if (existing) {
+      this.streamManager.releaseStream(stream.id);
+      existing.lastAccess = Date.now();
+      return existing;
+    }
+
+    const dir = path.join(this.rootDir, stream.id);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const isH264 = stream.format === "h264";
+    const input = isH264
+      ? ["-use_wallclock_as_timestamps", "1", "-fflags", "+genpts",
+         "-f", "h264", "-i", "pipe:0", "-c:v", "copy"]
+      : ["-f", "image2pipe", "-framerate", String(this.fps), "-c:v", "mjpeg", "-i", "pipe:0",
+         "-c:v", "libx264", "-preset", "veryfast", "-tune", "zerolatency",
+         "-pix_fmt", "yuv420p", "-g", String(this.fps * this.segmentSeconds)];
+
+    const ffmpeg = spawnFfmpeg(
+      [
+        ...input,
+        "-f", "hls",
+        "-hls_time", String(this.segmentSeconds),
+        "-hls_list_size", String(this.listSize),
+        "-hls_flags", "delete_segments+omit_endlist",
+        "-hls_segment_filename", path.join(dir, "seg_%05d.ts"),
+        path.join(dir, PLAYLIST),
+      ],
+      `HLS ${stream.id}`,
+    );
+
+    const output = {
+      streamId: stream.id,
+      dir,
+      format: isH264 ? "h264-copy" : "mjpeg-transcode",
+      ffmpeg,
+      latestFrame: null,
+      sync: isH264 ? createH264Sync() : null,
+      ticker: null,
+      detach: null,
+      written: 0,
+      dropped: 0,
+      startTime: Date.now(),
+      lastAccess: Date.now(),
+    };
+
+    output.detach = this.streamManager.addSink(stream.id, {
+      onFrame: (frame) => {
+        output.latestFrame = frame;
+      },
+      onData: (chunk) => {
+        const data = output.sync(chunk);
+        if (data) writeOrDrop(output, data, this.maxBufferedBytes);
+      },
+      onStop: () => this.stop(stream.id, { release: false }),
+    });
+
+    if (!isH264) {
+      output.ticker = setInterval(() => {
+        if (output.latestFrame) writeOrDrop(output, output.latestFrame, this.maxBufferedBytes);
+      }, 1000 / this.fps);
+    }
+
+    ffmpeg.on("close", () => {
+      if (this.outputs.get(stream.id) === output) this.stop(stream.id);
+    });
+
+    this.outputs.set(stream.id, output);
+    console.log(`[HlsPackager] Started ${output.format} output for ${stream.id}`);
+    return output;
+  }
+
+  /**
+   * Resolve once FFmpeg has written the first playlist.
+   */
+  waitForPlaylist(streamId, timeoutMs = 20000) {
+    const deadline = Date.now() + timeoutMs;
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const output = this.outputs.get(streamId);
+        if (!output) return reject(new Error("HLS output stopped before the first segment"));
+        if (fs.existsSync(path.join(output.dir, PLAYLIST))) return resolve(output);
+        if (Date.now() > deadline) {
+          this.stop(streamId);
+          return reject(new Error(`No HLS segment within ${timeoutMs / 1000}s`));
+        }
+        setTimeout(check, 250);
+      };
+      check();
+    });
+  }
+
+  /**
+   * Absolute path of a playlist or segment, or null. Fetching a file counts
+   * as viewer activity for the idle timeout.
+   */
+  resolveFile(streamId, file) {
+    const output = this.outputs.get(streamId);
+    if (!output || !HLS_FILE_PATTERN.test(file)) return null;
+
+    const filePath = path.join(output.dir, file);
+    if (!fs.existsSync(filePath)) return null;
+
+    output.lastAccess = Date.now();
+    return filePath;
+  }
+
+  /**
+   * Stop an output and delete its segments. release: false when the stream
+   * itself is already gone.
+   */
+  stop(streamId, { release = true } = {}) {
+    const output = this.outputs.get(streamId);
+    if (!output) return false;
+    this.outputs.delete(streamId);
+
+    if (output.ticker) clearInterval(output.ticker);
+    output.detach();
+    output.ffmpeg.stdin.end();
+    output.ffmpeg.kill("SIGTERM");
+    fs.rm(output.dir, { recursive: true, force: true }, () => {});
+
+    console.log(
+      `[HlsPackager] Stopped output for ${streamId} (${output.written} written, ${output.dropped} dropped)`,
+    );
+    if (release) this.streamManager.releaseStream(streamId);
+    return true;
+  }
+
+  getOutputs() {
+    return Array.from(this.outputs.values()).map((o) => ({
+      streamId: o.streamId,
+      format: o.format,
+      playlist: `/api/stream/${o.streamId}/hls/${PLAYLIST}`,
+      uptime: Date.now() - o.startTime,
+      idleFor: Date.now() - o.lastAccess,
+      written: o.written,
+      dropped: o.dropped,
+    }));
+  }
+
+  cleanup() {
+    Array.from(this.outputs.keys()).forEach((id) => this.stop(id));
+    clearInterval(this.idleTimer);
+  }
+
+  _stopIdle() {
+    const now = Date.now();
+    this.outputs.forEach((output, streamId) => {
+      if (now - output.lastAccess > this.idleTimeout) {
+        console.log(`[HlsPackager] No playlist requests for ${streamId}, stopping`);
+        this.stop(streamId);
+      }
+    });
+  }
+}
+
+export default HlsPackager;
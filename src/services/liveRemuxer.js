@@ -0,0 +1,358 @@
+/**
+ * Live Remuxer - browser-playable output for H.264 live streams
+ *
+ * Multidetectors send a raw H.264 elementary stream, which no browser can
+ * play from a plain response. Two ways out:
+ *
+ * Fragmented MP4 (attach): FFmpeg copies the H.264 into fMP4 — no
+ *   re-encode — which Media Source Extensions play. One FFmpeg per source
+ *   stream, shared by its viewers. Its output is split into the init
+ *   segment (ftyp+moov) and fragments (moof+mdat), one per GOP
+ *   (frag_keyframe), so a viewer joining late gets the init segment and
+ *   starts at the next keyframe. Slow viewers skip whole fragments.
+ *
+ * MJPEG (transcode): for clients without MSE. FFmpeg decodes and writes
+ *   JPEGs at a fixed rate into a composed StreamManager stream, which is
+ *   served, packaged (HLS) and recorded like any MJPEG stream.
+ */
+
+import { spawnFfmpeg } from "./videoConverter.js";
+import { createH264Sync } from "../utils/h264Sync.js";
+import { extractJpegFrames, writeOrDrop } from "../utils/streamBuffers.js";
+
+// Raw H.264 has no timestamps; stamp it on arrival. Input starts at an
+// SPS (see h264Sync), so there is nothing to gain from probing further.
+const H264_INPUT = [
+  "-use_wallclock_as_timestamps", "1",
+  "-fflags", "+genpts+nobuffer",
+  "-probesize", "32",
+  "-analyzeduration", "0",
+  "-f", "h264", "-i", "pipe:0",
+];
+
+// RFC 6381 codec string from the avcC box in the init segment
+function codecOf(init) {
+  const at = init.indexOf("avcC");
+  if (at === -1 || at + 8 > init.length) return null;
+  const hex = (n) => init[n].toString(16).padStart(2, "0");
+  return `avc1.${hex(at + 5)}${hex(at + 6)}${hex(at + 7)}`;
+}
+
+export class LiveRemuxer {
+  constructor(streamManager, options = {}) {
+    this.streamManager = streamManager;
+    this.remuxes = new Map(); // source streamId -> fMP4 remux
+    this.transcodes = new Map(); // composed streamId -> MJPEG transcode
+    this.transcodeKeys = new Map(); // source streamId|fps -> composed streamId
+    this.initTimeout = options.initTimeout || 15000;
+    this.maxBufferedBytes = options.maxBufferedBytes || 4 * 1024 * 1024;
+  }
+
+  /**
+   * Serve an H.264 live stream to `res` as fragmented MP4. The viewer
+   * takes over the reference the caller holds on `stream` and releases it
+   * when it disconnects. Resolves once the init segment has been written;
+   * rejects (and releases) if FFmpeg produces none in time.
+   */
+  async attach(stream, res) {
+    if (stream.format !== "h264") {
+      this.streamManager.releaseStream(stream.id);
+      throw new Error(`Stream ${stream.id} is not H.264`);
+    }
+
+    const remux = this.remuxes.get(stream.id) || this._startRemux(stream);
+    let init;
+    try {
+      init = await remux.ready;
+    } catch (err) {
+      this.streamManager.releaseStream(stream.id);
+      throw err;
+    }
+
+    // The viewer may have left while the first fragment was being muxed
+    if (res.destroyed || res.writableEnded || this.remuxes.get(stream.id) !== remux) {
+      if (remux.clients.size === 0) this._stopRemux(remux);
+      this.streamManager.releaseStream(stream.id);
+      return null;
+    }
+
+    res.setHeader("Content-Type", remux.contentType);
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    res.setTimeout(0);
+    res.write(init);
+
+    const client = { res, sent: 0, dropped: 0, connectedAt: Date.now() };
+    remux.clients.add(client);
+    console.log(`[LiveRemuxer] Viewer joined ${stream.id} (${remux.clients.size} total)`);
+
+    const leave = () => {
+      if (!remux.clients.delete(client)) return;
+      console.log(
+        `[LiveRemuxer] Viewer left ${stream.id} (${client.sent} fragments sent, ${client.dropped} dropped)`,
+      );
+      this.streamManager.releaseStream(stream.id);
+      if (remux.clients.size === 0) this._stopRemux(remux);
+    };
+    res.on("close", leave);
+    res.on("error", leave);
+    return { contentType: remux.contentType, codec: remux.codec };
+  }
+
+  /**
+   * MJPEG version of an H.264 live stream, shared per source and frame
+   * rate. Takes over the caller's reference on `stream`; resolves with the
+   * composed stream, on which the caller holds a reference.
+   */
+  async transcode(stream, { fps = 10 } = {}) {
+    if (stream.format !== "h264") {
+      this.streamManager.releaseStream(stream.id);
+      throw new Error(`Stream ${stream.id} is not H.264`);
+    }
+
+    const key = `${stream.id}|${fps}`;
+    const existing = this.streamManager.retainStream(this.transcodeKeys.get(key));
+    if (existing) {
+      this.streamManager.releaseStream(stream.id);
+      return existing;
+    }
+
+    const streamId = `transcode_${stream.id}_${fps}_${Date.now()}`;
+    const composed = this.streamManager.startComposedStream(streamId, { type: "transcode" });
+    composed.device = stream.device;
+    composed.cam = stream.cam;
+
+    const ffmpeg = spawnFfmpeg(
+      [
+        ...H264_INPUT,
+        "-vf", `fps=${fps}`,
+        "-c:v", "mjpeg", "-q:v", "5", "-pix_fmt", "yuvj420p",
+        "-f", "image2pipe", "pipe:1",
+      ],
+      `Transcode ${stream.id}`,
+    );
+
+    const transcode = {
+      streamId,
+      key,
+      sourceId: stream.id,
+      fps,
+      ffmpeg,
+      sync: createH264Sync(),
+      buffer: Buffer.alloc(0),
+      frames: 0,
+      written: 0,
+      dropped: 0,
+      detach: null,
+      startTime: Date.now(),
+    };
+    this.transcodes.set(streamId, transcode);
+    this.transcodeKeys.set(key, streamId);
+
+    transcode.detach = this.streamManager.addSink(stream.id, {
+      onData: (chunk) => this._write(transcode, chunk),
+      onStop: () => this.streamManager.stopStream(streamId, "source stopped"),
+    });
+    ffmpeg.stdout.on("data", (chunk) => this._onJpegOutput(transcode, chunk));
+    ffmpeg.on("close", () => {
+      if (this.transcodes.get(streamId) === transcode) {
+        this.streamManager.stopStream(streamId, "transcoder exited");
+      }
+    });
+    this.streamManager.addSink(streamId, {
+      onStop: () => this._stopTranscode(transcode),
+    });
+
+    console.log(`[LiveRemuxer] Transcoding ${stream.id} to MJPEG at ${fps} fps as ${streamId}`);
+    return composed;
+  }
+
+  getStats() {
+    return {
+      fmp4: Array.from(this.remuxes.values()).map((r) => ({
+        streamId: r.streamId,
+        codec: r.codec,
+        viewers: r.clients.size,
+        fragments: r.fragments,
+        written: r.written,
+        dropped: r.dropped,
+        uptime: Date.now() - r.startTime,
+      })),
+      mjpeg: Array.from(this.transcodes.values()).map((t) => ({
+        streamId: t.streamId,
+        source: t.sourceId,
+        fps: t.fps,
+        frames: t.frames,
+        written: t.written,
+        dropped: t.dropped,
+        uptime: Date.now() - t.startTime,
+      })),
+    };
+  }
+
+  cleanup() {
+    Array.from(this.remuxes.values()).forEach((r) => this._stopRemux(r));
+    Array.from(this.transcodes.keys()).forEach((id) => this.streamManager.stopStream(id, "shutdown"));
+  }
+
+  _startRemux(stream) {
+    const ffmpeg = spawnFfmpeg(
+      [
+        ...H264_INPUT,
+        "-c:v", "copy",
+        "-f", "mp4",
+        "-movflags", "frag_keyframe+empty_moov+default_base_moof",
+        // Hand each fragment over as soon as it is complete
+        "-flush_packets", "1",
+        "pipe:1",
+      ],
+      `fMP4 ${stream.id}`,
+    );
+
+    const remux = {
+      streamId: stream.id,
+      ffmpeg,
+      clients: new Set(),
+      init: null,
+      codec: null,
+      contentType: "video/mp4",
+      sync: createH264Sync(),
+      pending: [], // boxes of the fragment being assembled
+      buffer: Buffer.alloc(0),
+      fragments: 0,
+      written: 0,
+      dropped: 0,
+      detach: null,
+      startTime: Date.now(),
+    };
+
+    remux.ready = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error("Timeout waiting for the H.264 stream to start"));
+        this._stopRemux(remux);
+      }, this.initTimeout);
+      remux.onInit = () => {
+        clearTimeout(timer);
+        resolve(remux.init);
+      };
+      remux.onFail = (err) => {
+        clearTimeout(timer);
+        reject(err);
+      };
+    });
+    // A remux nobody waits on any more must not raise unhandled rejections
+    remux.ready.catch(() => {});
+
+    remux.detach = this.streamManager.addSink(stream.id, {
+      onData: (chunk) => this._write(remux, chunk),
+      onStop: () => this._stopRemux(remux),
+    });
+    ffmpeg.stdout.on("data", (chunk) => this._onMp4Output(remux, chunk));
+    ffmpeg.on("close", (code) => {
+      remux.onFail(new Error(`Remux exited (${code}) before the stream started`));
+      this._stopRemux(remux);
+    });
+
+    this.remuxes.set(stream.id, remux);
+    console.log(`[LiveRemuxer] Remuxing ${stream.id} to fragmented MP4`);
+    return remux;
+  }
+
+  _stopRemux(remux) {
+    if (this.remuxes.get(remux.streamId) !== remux) return;
+    this.remuxes.delete(remux.streamId);
+
+    remux.detach();
+    remux.ffmpeg.stdin.end();
+    remux.ffmpeg.kill("SIGTERM");
+    remux.onFail(new Error("Stream stopped"));
+    // Viewers give their references back from their close handlers
+    remux.clients.forEach((client) => client.res.end());
+
+    console.log(
+      `[LiveRemuxer] Stopped remux of ${remux.streamId} (${remux.fragments} fragments, ${remux.dropped} dropped)`,
+    );
+  }
+
+  _stopTranscode(transcode) {
+    if (this.transcodes.get(transcode.streamId) !== transcode) return;
+    this.transcodes.delete(transcode.streamId);
+    if (this.transcodeKeys.get(transcode.key) === transcode.streamId) {
+      this.transcodeKeys.delete(transcode.key);
+    }
+
+    transcode.detach();
+    transcode.ffmpeg.stdin.end();
+    transcode.ffmpeg.kill("SIGTERM");
+    this.streamManager.releaseStream(transcode.sourceId);
+
+    console.log(
+      `[LiveRemuxer] Stopped transcode ${transcode.streamId} (${transcode.frames} frames, ${transcode.dropped} dropped)`,
+    );
+  }
+
+  // A shared live stream is joined mid-GOP: nothing goes in before an SPS
+  _write(job, chunk) {
+    const data = job.sync(chunk);
+    if (data) writeOrDrop(job, data, this.maxBufferedBytes);
+  }
+
+  // Split FFmpeg's MP4 output into top-level boxes
+  _onMp4Output(remux, chunk) {
+    remux.buffer = Buffer.concat([remux.buffer, chunk]);
+    while (remux.buffer.length >= 8) {
+      let size = remux.buffer.readUInt32BE(0);
+      const type = remux.buffer.toString("latin1", 4, 8);
+      if (size === 1) {
+        if (remux.buffer.length < 16) return;
+        size = Number(remux.buffer.readBigUInt64BE(8));
+      }
+      if (size < 8) {
+        // Not a box boundary — the output cannot be followed any more
+        console.error(`[LiveRemuxer] Lost box sync on ${remux.streamId}`);
+        this._stopRemux(remux);
+        return;
+      }
+      if (remux.buffer.length < size) return;
+
+      const box = remux.buffer.subarray(0, size);
+      remux.buffer = remux.buffer.subarray(size);
+      this._onBox(remux, type, box);
+    }
+  }
+
+  _onBox(remux, type, box) {
+    if (type === "ftyp") {
+      remux.pending = [box];
+    } else if (type === "moov") {
+      remux.init = Buffer.concat([...remux.pending, box]);
+      remux.pending = [];
+      remux.codec = codecOf(remux.init);
+      if (remux.codec) remux.contentType = `video/mp4; codecs="${remux.codec}"`;
+      console.log(`[LiveRemuxer] Init segment for ${remux.streamId} (${remux.codec ?? "unknown codec"})`);
+      remux.onInit();
+    } else if (type === "moof") {
+      remux.pending = [box];
+    } else if (type === "mdat" && remux.pending.length > 0) {
+      const fragment = Buffer.concat([...remux.pending, box]);
+      remux.pending = [];
+      remux.fragments++;
+      remux.clients.forEach((client) => {
+        if (client.res.writableLength > this.maxBufferedBytes) {
+          client.dropped++;
+          return;
+        }
+        client.res.write(fragment);
+        client.sent++;
+      });
+    }
+  }
+
+  _onJpegOutput(transcode, chunk) {
+    extractJpegFrames(transcode, chunk, (frame) => {
+      this.streamManager.pushFrame(transcode.streamId, frame);
+      transcode.frames++;
+    });
+  }
+}
+
+export default LiveRemuxer;
@@ -0,0 +1,342 @@
+/**
+ * Mosaic Composer - several live cameras tiled into one MJPEG stream
+ *
+ * For control rooms on thin VPN links: one stream instead of sixteen.
+ *
+ * Each tile follows a StreamManager live stream (MJPEG) through a sink and
+ * keeps only its newest frame. A ticker writes one JPEG per tile per tick
+ * to FFmpeg, one input pipe per tile, so the inputs stay in lockstep; the
+ * tile's newest frame, or a "no signal" placeholder when its camera has
+ * not delivered for staleAfter ms. FFmpeg scales, labels and stacks the
+ * tiles (xstack) and writes JPEGs to stdout, which are pushed into a
+ * composed StreamManager stream. Viewers and the HLS packager attach to
+ * that stream like any other.
+ *
+ * Labels are drawtext textfiles reloaded every frame, so a tile shows the
+ * camera title from the NetVu frame header once one arrives.
+ *
+ * Cameras that fail to start are retried every retryInterval ms. The
+ * mosaic stops, and releases its cameras, when its last viewer leaves.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnFfmpeg } from "./videoConverter.js";
+import { extractJpegFrames } from "../utils/streamBuffers.js";
+
+export class MosaicComposer {
+  constructor(streamManager, options = {}) {
+    this.streamManager = streamManager;
+    this.mosaics = new Map(); // streamId -> mosaic
+    this.mosaicKeys = new Map(); // device|cams|layout|width|fps -> streamId
+    this.pending = new Map(); // key -> Promise<stream> while a mosaic starts
+    this.rootDir = options.rootDir || path.join(os.tmpdir(), "kamsguard_mosaic");
+    this.staleAfter = options.staleAfter || 5000;
+    this.retryInterval = options.retryInterval || 15000;
+    this.maxBufferedBytes = options.maxBufferedBytes || 2 * 1024 * 1024;
+    this.placeholders = new Map(); // WxH -> Promise<Buffer>
+
+    fs.rmSync(this.rootDir, { recursive: true, force: true });
+  }
+
+  /**
+   * Start a mosaic, or join the identical one already running. Resolves
+   * with the composed stream; the caller holds a reference on it.
+   *
+   * device: a row from resolveDevice. cams: camera numbers, at most
+   * columns × rows of them. width: output width in pixels.
+   */
+  async start(device, cams, { columns, rows, width = 1280, fps = 5, resolution = "med" }) {
+    if (cams.length === 0) throw new Error("At least one camera is required");
+    if (cams.length > columns * rows) {
+      throw new Error(`Layout ${columns}x${rows} has room for ${columns * rows} cameras, got ${cams.length}`);
+    }
+
+    const key = [device.url, cams.join(","), `${columns}x${rows}`, width, fps, resolution].join("|");
+    for (;;) {
+      const existing = this.streamManager.retainStream(this.mosaicKeys.get(key));
+      if (existing) {
+        console.log(`[MosaicComposer] Sharing ${existing.id}`);
+        return existing;
+      }
+      // An identical mosaic is starting — wait for it and share it
+      if (!this.pending.has(key)) break;
+      await this.pending.get(key);
+    }
+
+    const job = this._start(key, device, cams, { columns, rows, width, fps, resolution }).finally(() =>
+      this.pending.delete(key),
+    );
+    this.pending.set(key, job);
+    return job;
+  }
+
+  async _start(key, device, cams, { columns, rows, width, fps, resolution }) {
+    // Tiles are 4:3, even-sized for the encoder
+    const tileWidth = Math.floor(width / columns / 2) * 2;
+    const tileHeight = Math.floor((tileWidth * 3) / 4 / 2) * 2;
+    const placeholder = await this._placeholder(tileWidth, tileHeight);
+
+    const streamId = `mosaic_${String(device.id).replace(/[^\w.-]/g, "_")}_${columns}x${rows}_${Date.now()}`;
+    const dir = path.join(this.rootDir, streamId);
+
+    const tiles = Array.from({ length: columns * rows }, (_, i) => ({
+      index: i,
+      cam: cams[i] ?? null,
+      label: cams[i] !== undefined ? `Cam ${cams[i]}` : "",
+      labelFile: path.join(dir, `label_${i}.txt`),
+      streamId: null,
+      detach: null,
+      latestFrame: null,
+      lastFrameAt: 0,
+      error: null,
+      starting: false,
+    }));
+
+    // Claim the stream slot first: nothing goes on disk for a mosaic that
+    // is refused, and a failure from here on gives both back
+    const stream = this.streamManager.startComposedStream(streamId, { type: "mosaic" });
+    let ffmpeg;
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      tiles.forEach((tile) => fs.writeFileSync(tile.labelFile, tile.label));
+      ffmpeg = spawnFfmpeg(
+        this._ffmpegArgs(tiles, columns, tileWidth, tileHeight, fps),
+        `Mosaic ${streamId}`,
+        { extraPipes: tiles.length - 1 },
+      );
+    } catch (err) {
+      this.streamManager.stopStream(streamId, "composer failed to start");
+      fs.rm(dir, { recursive: true, force: true }, () => {});
+      throw err;
+    }
+
+    const mosaic = {
+      streamId,
+      key,
+      device,
+      columns,
+      rows,
+      fps,
+      resolution,
+      tileWidth,
+      tileHeight,
+      dir,
+      tiles,
+      placeholder,
+      ffmpeg,
+      inputs: [ffmpeg.stdin, ...ffmpeg.stdio.slice(3)],
+      ticker: null,
+      lastRetry: Date.now(),
+      buffer: Buffer.alloc(0),
+      ticks: 0,
+      skippedTicks: 0,
+      startTime: Date.now(),
+    };
+    this.mosaics.set(streamId, mosaic);
+    this.mosaicKeys.set(key, streamId);
+
+    ffmpeg.stdout.on("data", (chunk) => this._onOutput(mosaic, chunk));
+    ffmpeg.on("close", () => {
+      if (this.mosaics.get(streamId) === mosaic) {
+        this.streamManager.stopStream(streamId, "composer exited");
+      }
+    });
+
+    this.streamManager.addSink(streamId, {
+      onStop: () => this._teardown(mosaic),
+    });
+
+    await Promise.all(tiles.filter((t) => t.cam !== null).map((t) => this._startTile(mosaic, t)));
+    mosaic.ticker = setInterval(() => this._tick(mosaic), 1000 / fps);
+
+    const live = tiles.filter((t) => t.streamId).length;
+    console.log(
+      `[MosaicComposer] Started ${streamId}: ${columns}x${rows}, cams ${cams.join(",")} (${live}/${cams.length} live)`,
+    );
+    return stream;
+  }
+
+  getMosaics() {
+    return Array.from(this.mosaics.values()).map((m) => ({
+      streamId: m.streamId,
+      deviceId: m.device.id,
+      layout: `${m.columns}x${m.rows}`,
+      tileSize: `${m.tileWidth}x${m.tileHeight}`,
+      fps: m.fps,
+      uptime: Date.now() - m.startTime,
+      ticks: m.ticks,
+      skippedTicks: m.skippedTicks,
+      tiles: m.tiles
+        .filter((t) => t.cam !== null)
+        .map((t) => ({
+          cam: t.cam,
+          label: t.label,
+          streamId: t.streamId,
+          hasSignal: Date.now() - t.lastFrameAt <= this.staleAfter,
+          error: t.error,
+        })),
+    }));
+  }
+
+  cleanup() {
+    Array.from(this.mosaics.keys()).forEach((id) => this.streamManager.stopStream(id, "shutdown"));
+  }
+
+  _ffmpegArgs(tiles, columns, tileWidth, tileHeight, fps) {
+    // Inputs are probed one after another; without a small probe size the
+    // first one waits for megabytes of JPEGs while the others back up
+    const inputs = tiles.flatMap((tile, i) => [
+      "-probesize", "32", "-analyzeduration", "0",
+      "-f", "image2pipe", "-framerate", String(fps), "-c:v", "mjpeg",
+      "-i", i === 0 ? "pipe:0" : `pipe:${i + 2}`,
+    ]);
+
+    const labelled = tiles.map(
+      (tile, i) =>
+        `[${i}:v]scale=${tileWidth}:${tileHeight}:force_original_aspect_ratio=decrease,` +
+        `pad=${tileWidth}:${tileHeight}:(ow-iw)/2:(oh-ih)/2,setsar=1,format=yuvj420p,` +
+        `drawtext=textfile=${tile.labelFile}:reload=1:x=6:y=6:fontsize=${Math.max(12, Math.round(tileHeight / 14))}:` +
+        `fontcolor=white:box=1:boxcolor=black@0.6:boxborderw=4[t${i}]`,
+    );
+
+    const layout = tiles
+      .map((_, i) => `${(i % columns) * tileWidth}_${Math.floor(i / columns) * tileHeight}`)
+      .join("|");
+    const stack =
+      tiles.length === 1
+        ? "[t0]null[out]"
+        : `${tiles.map((_, i) => `[t${i}]`).join("")}xstack=inputs=${tiles.length}:layout=${layout}[out]`;
+
+    return [
+      ...inputs,
+      "-filter_complex", [...labelled, stack].join(";"),
+      "-map", "[out]",
+      "-c:v", "mjpeg", "-q:v", "6",
+      "-f", "image2pipe", "pipe:1",
+    ];
+  }
+
+  async _startTile(mosaic, tile) {
+    tile.starting = true;
+    try {
+      const stream = await this.streamManager.startLiveStream(mosaic.device.url, tile.cam, {
+        resolution: mosaic.resolution,
+        format: "mjpeg",
+        deviceType: mosaic.device.device_type,
+      });
+      // Mosaic stopped while the camera was connecting
+      if (this.mosaics.get(mosaic.streamId) !== mosaic) {
+        this.streamManager.releaseStream(stream.id);
+        return;
+      }
+
+      tile.streamId = stream.id;
+      tile.error = null;
+      tile.detach = this.streamManager.addSink(stream.id, {
+        onFrame: (frame, meta) => {
+          tile.latestFrame = frame;
+          tile.lastFrameAt = Date.now();
+          if (meta.title && meta.title !== tile.label) this._setLabel(tile, meta.title);
+        },
+        onStop: () => {
+          tile.streamId = null;
+          tile.detach = null;
+          tile.error = "Camera stream stopped";
+        },
+      });
+    } catch (err) {
+      tile.error = err.message;
+      console.warn(`[MosaicComposer] Cam ${tile.cam} unavailable: ${err.message}`);
+    } finally {
+      tile.starting = false;
+    }
+  }
+
+  // drawtext may read the file mid-write; swap it in whole
+  _setLabel(tile, label) {
+    tile.label = label;
+    fs.writeFile(`${tile.labelFile}.tmp`, label, (err) => {
+      if (!err) fs.rename(`${tile.labelFile}.tmp`, tile.labelFile, () => {});
+    });
+  }
+
+  _tick(mosaic) {
+    // One frame on every input or none — a partial tick would shift tiles
+    // against each other
+    if (mosaic.inputs.some((p) => !p.writable || p.writableLength > this.maxBufferedBytes)) {
+      mosaic.skippedTicks++;
+      return;
+    }
+
+    const now = Date.now();
+    mosaic.tiles.forEach((tile, i) => {
+      const fresh = tile.latestFrame && now - tile.lastFrameAt <= this.staleAfter;
+      mosaic.inputs[i].write(fresh ? tile.latestFrame : mosaic.placeholder);
+    });
+    mosaic.ticks++;
+
+    if (now - mosaic.lastRetry > this.retryInterval) {
+      mosaic.lastRetry = now;
+      mosaic.tiles
+        .filter((t) => t.cam !== null && !t.streamId && !t.starting)
+        .forEach((t) => this._startTile(mosaic, t));
+    }
+  }
+
+  _onOutput(mosaic, chunk) {
+    extractJpegFrames(mosaic, chunk, (frame) => this.streamManager.pushFrame(mosaic.streamId, frame));
+  }
+
+  _teardown(mosaic) {
+    if (this.mosaics.get(mosaic.streamId) !== mosaic) return;
+    this.mosaics.delete(mosaic.streamId);
+    if (this.mosaicKeys.get(mosaic.key) === mosaic.streamId) this.mosaicKeys.delete(mosaic.key);
+
+    clearInterval(mosaic.ticker);
+    mosaic.inputs.forEach((p) => p.end());
+    mosaic.ffmpeg.kill("SIGTERM");
+    mosaic.tiles.forEach((tile) => {
+      if (!tile.streamId) return;
+      tile.detach();
+      this.streamManager.releaseStream(tile.streamId);
+    });
+    fs.rm(mosaic.dir, { recursive: true, force: true }, () => {});
+
+    console.log(
+      `[MosaicComposer] Stopped ${mosaic.streamId} (${mosaic.ticks} ticks, ${mosaic.skippedTicks} skipped)`,
+    );
+  }
+
+  // Dark "NO SIGNAL" tile, rendered once per tile size
+  _placeholder(width, height) {
+    const size = `${width}x${height}`;
+    if (!this.placeholders.has(size)) {
+      const job = new Promise((resolve, reject) => {
+        const ffmpeg = spawnFfmpeg(
+          [
+            "-f", "lavfi", "-i", `color=c=0x1e1e1e:s=${size}`,
+            "-vf",
+            `drawtext=text='NO SIGNAL':fontcolor=0x9a9a9a:fontsize=${Math.max(12, Math.round(height / 10))}:` +
+              "x=(w-text_w)/2:y=(h-text_h)/2",
+            "-frames:v", "1", "-c:v", "mjpeg", "-f", "image2pipe", "pipe:1",
+          ],
+          "Mosaic placeholder",
+        );
+        const chunks = [];
+        ffmpeg.stdout.on("data", (c) => chunks.push(c));
+        ffmpeg.on("error", reject);
+        ffmpeg.on("close", (code) => {
+          if (code === 0 && chunks.length) resolve(Buffer.concat(chunks));
+          else reject(new Error(`FFmpeg failed to render placeholder (exit ${code})`));
+        });
+      });
+      job.catch(() => this.placeholders.delete(size));
+      this.placeholders.set(size, job);
+    }
+    return this.placeholders.get(size);
+  }
+}
+
+export default MosaicComposer;
@@ -0,0 +1,129 @@
+/**
+ * Playback Cache - recordings converted once for progressive playback
+ *
+ * A vpart (PAR) is downloaded from its device and converted with
+ * convertParToMp4Single (stream copy, re-encode fallback, faststart) into
+ * <tmp>/kamsguard_playback/<key>.mp4. The MP4 is then served as a plain
+ * file, so Range requests let a <video> element seek anywhere in it.
+ *
+ * Recorded footage does not change, so files are kept across restarts.
+ * When the cache grows past maxBytes the least recently played files are
+ * removed.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { buildDeviceUrl, sanitizeUrlForLogging } from "../utils/urlHelpers.js";
+import { downloadFile, convertParToMp4Single, cleanupTemp } from "./videoConverter.js";
+
+export class PlaybackCache {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(os.tmpdir(), "kamsguard_playback");
+    this.maxBytes = options.maxBytes || 5 * 1024 * 1024 * 1024;
+    this.pending = new Map(); // key -> Promise<filePath>
+
+    fs.mkdirSync(this.rootDir, { recursive: true });
+    // Conversions cut short by a restart
+    fs.readdirSync(this.rootDir)
+      .filter((f) => f.startsWith("work_"))
+      .forEach((f) => fs.rmSync(path.join(this.rootDir, f), { recursive: true, force: true }));
+  }
+
+  keyFor(deviceUrl, vpartPath) {
+    return crypto
+      .createHash("sha1")
+      .update([deviceUrl, vpartPath].join("|"))
+      .digest("hex")
+      .slice(0, 16);
+  }
+
+  /**
+   * Local MP4 of a vpart, converting it on first use. Concurrent requests
+   * for the same vpart share one conversion. Resolves with
+   * { key, filePath, cached }.
+   */
+  async getMp4(deviceUrl, vpartPath) {
+    const key = this.keyFor(deviceUrl, vpartPath);
+    const filePath = path.join(this.rootDir, `${key}.mp4`);
+
+    if (fs.existsSync(filePath)) {
+      // mtime doubles as "last played" for eviction
+      const now = new Date();
+      fs.utimes(filePath, now, now, () => {});
+      return { key, filePath, cached: true };
+    }
+
+    if (!this.pending.has(key)) {
+      const job = this._convert(key, filePath, deviceUrl, vpartPath).finally(() =>
+        this.pending.delete(key),
+      );
+      this.pending.set(key, job);
+    }
+    await this.pending.get(key);
+    return { key, filePath, cached: false };
+  }
+
+  getStats() {
+    const files = this._files();
+    return {
+      files: files.length,
+      bytes: files.reduce((sum, f) => sum + f.size, 0),
+      maxBytes: this.maxBytes,
+      converting: this.pending.size,
+    };
+  }
+
+  async _convert(key, filePath, deviceUrl, vpartPath) {
+    const workDir = path.join(this.rootDir, `work_${key}_${Date.now()}`);
+    fs.mkdirSync(workDir, { recursive: true });
+
+    const startedAt = Date.now();
+    try {
+      const parPath = path.join(workDir, path.basename(vpartPath));
+      const mp4Path = path.join(workDir, "converted.mp4");
+      const url = buildDeviceUrl(deviceUrl, vpartPath);
+
+      console.log(`[PlaybackCache] Converting ${sanitizeUrlForLogging(url)}`);
+      await downloadFile(url, parPath, { deviceUrl, path: vpartPath });
+      await convertParToMp4Single(parPath, mp4Path, { deviceUrl });
+      fs.renameSync(mp4Path, filePath);
+
+      console.log(
+        `[PlaybackCache] ✅ ${key}.mp4 (${(fs.statSync(filePath).size / 1024 / 1024).toFixed(2)} MB, ${((Date.now() - startedAt) / 1000).toFixed(1)}s)`,
+      );
+    } finally {
+      await cleanupTemp(workDir);
+    }
+    this._evict(filePath);
+    return filePath;
+  }
+
+  _files() {
+    return fs
+      .readdirSync(this.rootDir)
+      .filter((f) => /^[0-9a-f]{16}\.mp4$/.test(f))
+      .map((f) => {
+        const filePath = path.join(this.rootDir, f);
+        const stat = fs.statSync(filePath);
+        return { filePath, size: stat.size, mtime: stat.mtimeMs };
+      });
+  }
+
+  // Drop least recently played files until the cache fits; never the one
+  // just converted
+  _evict(keep) {
+    const files = this._files().sort((a, b) => a.mtime - b.mtime);
+    let total = files.reduce((sum, f) => sum + f.size, 0);
+    for (const file of files) {
+      if (total <= this.maxBytes) break;
+      if (file.filePath === keep) continue;
+      fs.rmSync(file.filePath, { force: true });
+      total -= file.size;
+      console.log(`[PlaybackCache] Evicted ${path.basename(file.filePath)}`);
+    }
+  }
+}
+
+export default PlaybackCache;
@@ -0,0 +1,262 @@
+/**
+ * Replay Sessions - several cameras of one device replayed in lockstep
+ *
+ * A session starts one replay stream per camera from the same timestamp.
+ * All of them pace against one shared clock ({ time, wall }, see
+ * StreamManager#_releaseFrames), so they show the same recorded instant
+ * however fast each camera's upstream delivers. Pause, resume, seek and
+ * speed apply to the whole group and re-anchor the clock.
+ *
+ * The session holds one reference on each member stream. Viewers attach
+ * per camera with their own reference. A session with no viewers for
+ * idleTimeout ms is closed, as is one whose members have all stopped.
+ */
+
+import crypto from "crypto";
+
+export const SESSION_ACTIONS = ["pause", "resume", "seek", "speed"];
+
+export class ReplaySessions {
+  constructor(streamManager, options = {}) {
+    this.streamManager = streamManager;
+    this.sessions = new Map();
+    this.maxCameras = options.maxCameras || 16;
+    this.idleTimeout = options.idleTimeout || 60000;
+
+    // Members that stop on their own (end of recording, gave up
+    // reconnecting) leave the session
+    streamManager.on("stream-stopped", ({ streamId }) => {
+      this.sessions.forEach((session) => {
+        const member = session.members.find((m) => m.streamId === streamId);
+        if (!member) return;
+        member.streamId = null;
+        member.error = member.error || "Stream stopped";
+        if (session.members.every((m) => !m.streamId)) this.close(session.id);
+      });
+    });
+
+    this.idleTimer = setInterval(() => this._closeIdle(), 10000);
+    this.idleTimer.unref();
+  }
+
+  /**
+   * Start a session. Cameras that fail to start are reported per member;
+   * the session fails only if none of them start.
+   */
+  async create(deviceUrl, cams, timestamp, options = {}) {
+    if (cams.length === 0) throw new Error("At least one camera is required");
+    if (cams.length > this.maxCameras) {
+      throw new Error(`A session can replay at most ${this.maxCameras} cameras`);
+    }
+
+    const speed = options.speed ?? 1;
+    const clock = { time: timestamp, wall: null };
+    const results = await Promise.allSettled(
+      cams.map((cam) =>
+        this.streamManager.startReplayStream(deviceUrl, cam, timestamp, { speed, clock }),
+      ),
+    );
+
+    const members = results.map((result, i) => ({
+      cam: cams[i],
+      streamId: result.status === "fulfilled" ? result.value.id : null,
+      error: result.status === "rejected" ? result.reason.message : null,
+    }));
+
+    if (members.every((m) => !m.streamId)) {
+      const first = results[0].reason;
+      const err = new Error(`No camera could be replayed: ${first.message}`);
+      // Report a cause shared by every camera (no recording, quota)
+      if (results.every((r) => r.reason?.code === first.code)) {
+        err.code = first.code;
+        err.limit = first.limit;
+        err.holders = first.holders;
+      }
+      throw err;
+    }
+
+    const session = {
+      id: `session_${Date.now()}_${crypto.randomBytes(3).toString("hex")}`,
+      deviceUrl,
+      clock,
+      speed,
+      state: "playing",
+      members,
+      createdAt: Date.now(),
+      lastViewer: Date.now(),
+    };
+    this.sessions.set(session.id, session);
+
+    console.log(
+      `[ReplaySessions] Started ${session.id}: cams ${cams.join(",")} at ${new Date(timestamp * 1000).toISOString()} (${members.filter((m) => m.streamId).length}/${cams.length} running)`,
+    );
+    return this.getSession(session.id);
+  }
+
+  /**
+   * Attach a viewer to one camera of a session. The response is handed to
+   * StreamManager#addClient, which releases the viewer's reference when it
+   * disconnects. Returns the member stream, or null.
+   */
+  attach(sessionId, cam, res) {
+    const session = this.sessions.get(sessionId);
+    const member = session?.members.find((m) => m.cam === cam);
+    if (!member?.streamId) return null;
+
+    const stream = this.streamManager.retainStream(member.streamId);
+    if (!stream) return null;
+
+    session.lastViewer = Date.now();
+    this.streamManager.addClient(stream.id, res);
+    return stream;
+  }
+
+  /**
+   * Apply one transport action to every running member. Per-member
+   * failures (no recording for that camera at the new time) are recorded
+   * on the member and do not fail the group.
+   */
+  async control(sessionId, action, params = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) throw new Error(`Session ${sessionId} not found`);
+    if (!SESSION_ACTIONS.includes(action)) {
+      throw new Error(`Unknown session action: ${action}`);
+    }
+
+    const clock = session.clock;
+    // Freeze the clock at the current instant; playing actions re-anchor
+    // it from there on the next member frame.
+    clock.time = this._positionOf(session);
+    clock.wall = null;
+
+    switch (action) {
+      case "pause":
+        session.state = "paused";
+        break;
+      case "resume":
+        session.state = "playing";
+        break;
+      case "seek":
+        clock.time = params.time;
+        break;
+      case "speed":
+        session.speed = params.speed;
+        break;
+    }
+
+    const memberParams =
+      action === "seek" ? { time: params.time } : action === "speed" ? { speed: params.speed } : {};
+
+    await Promise.all(
+      session.members
+        .filter((m) => m.streamId)
+        .map(async (member) => {
+          try {
+            // Resume from the session's instant, not each member's last frame
+            if (action === "resume") {
+              const stream = this.streamManager.getStream(member.streamId);
+              if (stream) stream.position = clock.time;
+            }
+            await this.streamManager.controlReplay(member.streamId, action, memberParams);
+            member.error = null;
+          } catch (err) {
+            member.error = err.message;
+            console.warn(
+              `[ReplaySessions] ${action} failed for cam ${member.cam} of ${sessionId}: ${err.message}`,
+            );
+          }
+        }),
+    );
+
+    console.log(
+      `[ReplaySessions] ${action} on ${sessionId} at ${new Date(clock.time * 1000).toISOString()}`,
+    );
+    return this.getSession(sessionId);
+  }
+
+  /**
+   * Session state with each member's playback position. drift is the
+   * spread between the furthest-apart member positions, in seconds.
+   */
+  getSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    const members = session.members.map((m) => {
+      const playback = m.streamId ? this.streamManager.getPlayback(m.streamId) : null;
+      return {
+        cam: m.cam,
+        streamId: m.streamId,
+        view: m.streamId ? `/api/stream/session/${session.id}/view/${m.cam}` : null,
+        state: playback?.state ?? "stopped",
+        position: playback?.position ?? null,
+        title: playback?.title ?? null,
+        error: m.error,
+      };
+    });
+
+    const positions = members.map((m) => m.position).filter((p) => p !== null);
+    const position = this._positionOf(session);
+    return {
+      sessionId: session.id,
+      deviceUrl: session.deviceUrl,
+      state: session.state,
+      speed: session.speed,
+      position,
+      positionDate: new Date(position * 1000).toISOString(),
+      drift: positions.length > 1 ? Math.max(...positions) - Math.min(...positions) : 0,
+      members,
+    };
+  }
+
+  getSessions() {
+    return Array.from(this.sessions.keys()).map((id) => this.getSession(id));
+  }
+
+  /**
+   * Close a session and give back its member references. Viewers keep
+   * their streams until they disconnect.
+   */
+  close(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return false;
+    this.sessions.delete(sessionId);
+
+    session.members.forEach((m) => {
+      if (m.streamId) this.streamManager.releaseStream(m.streamId);
+      m.streamId = null;
+    });
+    console.log(`[ReplaySessions] Closed ${sessionId}`);
+    return true;
+  }
+
+  cleanup() {
+    Array.from(this.sessions.keys()).forEach((id) => this.close(id));
+    clearInterval(this.idleTimer);
+  }
+
+  // Recorded instant the group is showing now
+  _positionOf(session) {
+    const { time, wall } = session.clock;
+    const now = Date.now();
+    if (session.state === "paused" || wall === null || now < wall) return time;
+    return time + ((now - wall) / 1000) * session.speed;
+  }
+
+  _closeIdle() {
+    const now = Date.now();
+    this.sessions.forEach((session, sessionId) => {
+      const viewers = session.members.reduce(
+        (sum, m) => sum + (this.streamManager.getStream(m.streamId)?.clients.size ?? 0),
+        0,
+      );
+      if (viewers > 0) session.lastViewer = now;
+      else if (now - session.lastViewer > this.idleTimeout) {
+        console.log(`[ReplaySessions] No viewers on ${sessionId}, closing`);
+        this.close(sessionId);
+      }
+    });
+  }
+}
+
+export default ReplaySessions;
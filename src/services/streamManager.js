@@ -13,12 +13,45 @@ import { EventEmitter } from "events";
 import http from "http";
 import https from "https";
 import { URL } from "url";
+import { parseFrameHeader } from "../utils/netvuFrameHeader.js";
+import { extractJpegFrames } from "../utils/streamBuffers.js";
 
 // Pick http or https based on the URL
 function transportFor(url) {
   return url.startsWith("https://") ? https : http;
 }
 
+// Device part of a stream id. Strips the scheme and anything else that
+// would not survive as a single path segment (DELETE /api/stream/:streamId).
+function streamIdPart(deviceIp) {
+  return deviceIp.replace(/^[a-zA-Z][a-zA-Z0-9+.-]*:\/\//, "").replace(/[^\w.-]/g, "_");
+}
+
+// Replay rejections that mean "nothing recorded here" rather than a network
+// fault. A reconnect that hits one has run off the end of the recording.
+function noRecordingError(message) {
+  const err = new Error(message);
+  err.code = "NO_RECORDING";
+  return err;
+}
+
+// Multipart part headers carrying a frame's NetVu metadata. The title is
+// URI-encoded: camera names may hold characters a header value cannot.
+function frameHeaderLines(header) {
+  if (!header) return "";
+  let lines = "";
+  if (header.time !== undefined) lines += `X-Frame-Time: ${header.time}\r\n`;
+  if (header.title) lines += `X-Camera-Title: ${encodeURIComponent(header.title)}\r\n`;
+  if (header.alarm) lines += `X-Frame-Alarm: ${header.alarm.mask}\r\n`;
+  return lines;
+}
+
+// replay_pic.cgi only takes whole speeds. Slow motion fetches at 1x in the
+// same direction and the pacer stretches it out.
+function deviceSpeedFor(speed) {
+  return Math.sign(speed) * Math.max(1, Math.round(Math.abs(speed)));
+}
+
 // For HTTPS connections to VPN tunnel devices with internal certs.
 // rejectUnauthorized: false — remove once devices have publicly valid certs.
 const httpsOptions = { rejectUnauthorized: false };
@@ -28,64 +61,361 @@ export class StreamManager extends EventEmitter {
     super();
 
     this.streams = new Map();
+    this.liveStreamKeys = new Map(); // device|cam|res|format -> streamId
+    this.pendingLiveStreams = new Map(); // same key -> Promise<stream>
     this.maxStreams = options.maxStreams || 100;
     this.defaultTimeout = options.timeout || 30000;
+    this.reconnect = {
+      maxAttempts: 8,
+      baseDelay: 1000,
+      maxDelay: 30000,
+      ...options.reconnect,
+    };
+    // Replay look-ahead: the device pushes frames as fast as it can and we
+    // release them on the recorded clock. Past these limits the upstream is
+    // paused (TCP backpressure) until the buffer drains to half.
+    this.pacing = {
+      maxBufferedFrames: 50,
+      maxBufferedBytes: 8 * 1024 * 1024,
+      maxGap: 2, // recorded seconds; larger jumps are played without waiting
+      syncDelay: 1000, // shared clocks start this long after the first frame
+      maxLag: 1000, // on a shared clock, frames later than this are skipped
+      ...options.pacing,
+    };
+    // A stream whose last viewer leaves keeps its upstream this long, so a
+    // page reload or a quick camera switch back does not reconnect. The
+    // reaper also drops clients whose sockets died without a 'close'.
+    this.idleGracePeriod = options.idleGracePeriod ?? 15000;
+    // Concurrent upstreams per device, by device type. NetVu recorders cap
+    // replay sessions per unit and multidetectors manage only a couple of
+    // streams. A device record can override any of these; resolveQuota
+    // (async, deviceIp -> { deviceType, live, replay, perCamera } | null)
+    // looks that up.
+    this.quotas = {
+      nvr: { live: 16, replay: 8, perCamera: 4 },
+      multidetector: { live: 2, replay: 2, perCamera: 2 },
+      ...options.quotas,
+    };
+    this.resolveQuota = options.resolveQuota || null;
+    this.reservations = new Map(); // streamId -> slot held while connecting
+    this.reaper = setInterval(() => this._reap(), options.reapInterval || 5000);
+    this.reaper.unref();
 
     this.totalStreamsCreated = 0;
     this.totalStreamsFailed = 0;
+    this.totalClientsConnected = 0;
   }
 
   /**
-   * Start a live stream from a NetVu device.
+   * Start a live stream from a NetVu device, or join the one already running.
    * Supports both MJPEG (NVR) and H.264 (Multidetector).
+   *
+   * Live streams are keyed by device, camera, resolution and format, so every
+   * viewer of the same feed shares one upstream connection. Each call takes a
+   * reference on the returned stream; the caller hands it to addClient, which
+   * releases it when that client disconnects.
    */
   async startLiveStream(deviceIp, cam = 1, options = {}) {
-    const streamId = `live_${deviceIp}_${cam}_${Date.now()}`;
+    const resolution = options.resolution || "hi";
+    const format = options.format || "mjpeg";
+    const deviceType = options.deviceType || "nvr";
+    const key = `${streamIdPart(deviceIp)}|${cam}|${resolution}|${format}`;
+
+    const existing = this.streams.get(this.liveStreamKeys.get(key));
+    if (existing) {
+      this._retain(existing);
+      console.log(
+        `[StreamManager][LIVE] Sharing upstream ${existing.id} (${existing.refs} refs)`,
+      );
+      return existing;
+    }
+
+    // Another viewer is already connecting to this feed — wait for it
+    if (this.pendingLiveStreams.has(key)) {
+      const stream = await this.pendingLiveStreams.get(key);
+      this._retain(stream);
+      console.log(
+        `[StreamManager][LIVE] Sharing upstream ${stream.id} (${stream.refs} refs)`,
+      );
+      return stream;
+    }
+
+    const streamId = `live_${streamIdPart(deviceIp)}_${cam}_${Date.now()}`;
 
     if (this.streams.size >= this.maxStreams) {
       throw new Error(`Maximum streams limit reached (${this.maxStreams})`);
     }
 
-    const resolution = options.resolution || "hi";
-    const format = options.format || "mjpeg";
-    const deviceType = options.deviceType || "nvr";
-
     let base = deviceIp;
     if (!/^[a-zA-Z][a-zA-Z0-9+.-]*:\/\//.test(base)) base = `http://${base}`;
-    const url = new URL(
-      `/display_pic.cgi?cam=${cam}&res=${resolution}&format=${format}&id=${Date.now()}`,
-      base,
-    ).toString();
+    // Rebuilt on every (re)connect so the id cache-buster stays fresh
+    const buildUrl = () =>
+      new URL(
+        `/display_pic.cgi?cam=${cam}&res=${resolution}&format=${format}&id=${Date.now()}`,
+        base,
+      ).toString();
 
     console.log(`[StreamManager][LIVE] Starting live stream: ${streamId}`);
     console.log(`[StreamManager][LIVE] Device Type: ${deviceType}`);
     console.log(`[StreamManager][LIVE] Format: ${format}`);
-    console.log(`[StreamManager][LIVE] URL: ${url}`);
+    console.log(`[StreamManager][LIVE] URL: ${buildUrl()}`);
+
+    // Registered before the quota lookup so viewers arriving meanwhile
+    // share this attempt rather than claiming a second slot
+    const pending = (async () => {
+      await this._claimSlot(streamId, deviceIp, cam, "live", deviceType);
+      return this._createLiveStream(streamId, buildUrl, "live", format, {
+        ...options,
+        key,
+        device: deviceIp,
+        cam,
+      });
+    })();
+    this.pendingLiveStreams.set(key, pending);
 
-    const stream = await this._createLiveStream(
-      streamId,
-      url,
-      "live",
-      format,
-      options,
-    );
+    let stream;
+    try {
+      stream = await pending;
+    } finally {
+      this.pendingLiveStreams.delete(key);
+      this.reservations.delete(streamId);
+    }
 
     this.totalStreamsCreated++;
     return stream;
   }
 
+  /**
+   * Internal: limits that apply to a device — its record's overrides over
+   * its type's defaults.
+   */
+  async _quotaFor(deviceIp, deviceType) {
+    const override = this.resolveQuota ? await this.resolveQuota(deviceIp) : null;
+    const type = override?.deviceType || deviceType || "nvr";
+    const defaults = this.quotas[type] || this.quotas.nvr;
+    return {
+      deviceType: type,
+      live: override?.live ?? defaults.live,
+      replay: override?.replay ?? defaults.replay,
+      perCamera: override?.perCamera ?? defaults.perCamera,
+    };
+  }
+
+  /**
+   * Internal: reserve a device slot for a new upstream, or throw a
+   * QUOTA_EXCEEDED error listing the streams that hold the slots. Idle
+   * streams (no viewers, waiting out their grace period) give up their
+   * slot first. The reservation counts until the caller deletes it.
+   */
+  async _claimSlot(streamId, deviceIp, cam, type, deviceType) {
+    const quota = await this._quotaFor(deviceIp, deviceType);
+    const device = streamIdPart(deviceIp);
+
+    const holders = (match) => [
+      ...Array.from(this.streams.values()).filter(
+        (s) => s.device && streamIdPart(s.device) === device && match(s),
+      ),
+      ...Array.from(this.reservations.values()).filter(
+        (r) => r.device === device && match(r),
+      ),
+    ];
+
+    const checks = [
+      {
+        limit: quota[type],
+        match: (s) => s.type === type,
+        scope: `${type} streams on ${deviceIp}`,
+      },
+      {
+        limit: quota.perCamera,
+        match: (s) => s.cam === cam,
+        scope: `streams on ${deviceIp} cam ${cam}`,
+      },
+    ];
+
+    for (const { limit, match, scope } of checks) {
+      if (limit === null || limit === undefined) continue;
+      let held = holders(match);
+      if (held.length < limit) continue;
+
+      // Oldest idle streams make way first
+      held
+        .filter((s) => s.idleSince)
+        .sort((a, b) => a.idleSince - b.idleSince)
+        .slice(0, held.length - limit + 1)
+        .forEach((s) => this.stopStream(s.id, "quota"));
+
+      held = holders(match);
+      if (held.length < limit) continue;
+
+      const err = new Error(`Stream quota reached: ${held.length}/${limit} ${scope}`);
+      err.code = "QUOTA_EXCEEDED";
+      err.limit = limit;
+      err.holders = held.map((s) => ({
+        streamId: s.id,
+        type: s.type,
+        cam: s.cam,
+        state: s.state ?? "connecting",
+        clients: s.clients?.size ?? 0,
+        refs: s.refs ?? 0,
+        uptime: Date.now() - s.startTime,
+      }));
+      console.warn(
+        `[StreamManager][${type.toUpperCase()}] ${err.message} (held by ${err.holders.map((h) => h.streamId).join(", ")})`,
+      );
+      throw err;
+    }
+
+    this.reservations.set(streamId, {
+      id: streamId,
+      type,
+      device,
+      cam,
+      startTime: Date.now(),
+    });
+  }
+
+  /**
+   * Register a stream whose frames are produced inside the process (the
+   * mosaic composer) rather than read from a device. There is no upstream
+   * to reconnect; the owner feeds it with pushFrame and learns that it has
+   * stopped through a sink's onStop. The caller holds the first reference.
+   */
+  startComposedStream(streamId, options = {}) {
+    if (this.streams.has(streamId)) {
+      throw new Error(`Stream ${streamId} already exists`);
+    }
+    if (this.streams.size >= this.maxStreams) {
+      throw new Error(`Maximum streams limit reached (${this.maxStreams})`);
+    }
+
+    const type = options.type || "composed";
+    const streamInstance = {
+      id: streamId,
+      type,
+      url: null,
+      format: "mjpeg",
+      key: null,
+      contentType: "multipart/x-mixed-replace; boundary=frame",
+      request: null,
+      deviceStream: null,
+      clients: new Set(),
+      clientStats: new Map(),
+      sinks: new Set(),
+      refs: 1,
+      idleSince: null,
+      state: "streaming",
+      connection: 0,
+      reconnect: this._newReconnectState({ reconnect: false }),
+      startTime: Date.now(),
+      stats: { bytes: 0, frames: 0, droppedFrames: 0, clients: 0, startTime: Date.now() },
+      buffer: Buffer.alloc(0),
+      frameHeader: null,
+    };
+
+    this.streams.set(streamId, streamInstance);
+    this.totalStreamsCreated++;
+    this.emit("stream-started", {
+      streamId,
+      type,
+      contentType: streamInstance.contentType,
+      format: "mjpeg",
+    });
+    return streamInstance;
+  }
+
+  /**
+   * Deliver a JPEG to a composed stream's clients and sinks.
+   */
+  pushFrame(streamId, frame, header = null) {
+    const stream = this.streams.get(streamId);
+    if (!stream || stream.state !== "streaming") return false;
+    this._broadcastFrame(stream, frame, header);
+    stream.stats.bytes += frame.length;
+    return true;
+  }
+
   /**
    * Internal: create a live stream from a NetVu device.
    * Handles both MJPEG and H.264 formats, over http or https.
+   *
+   * Resolves once the first chunk arrives. If the upstream drops after that,
+   * the stream goes into "reconnecting" instead of being stopped.
    */
-  async _createLiveStream(streamId, url, type, format, options = {}) {
+  async _createLiveStream(streamId, buildUrl, type, format, options = {}) {
+    const streamInstance = {
+      id: streamId,
+      type,
+      url: null,
+      buildUrl,
+      format,
+      key: options.key,
+      device: options.device,
+      cam: options.cam,
+      contentType: null,
+      request: null,
+      deviceStream: null,
+      clients: new Set(),
+      clientStats: new Map(),
+      sinks: new Set(),
+      refs: 1,
+      idleSince: null,
+      state: "connecting",
+      connection: 0,
+      reconnect: this._newReconnectState(options),
+      startTime: Date.now(),
+      stats: { bytes: 0, frames: 0, droppedFrames: 0, clients: 0, startTime: Date.now() },
+      buffer: Buffer.alloc(0),
+      frameHeader: null,
+      firstDataReceived: false,
+    };
+
+    try {
+      await this._connectLive(streamInstance);
+    } catch (err) {
+      console.error(
+        `[StreamManager][LIVE] Failed to create stream:`,
+        err.message,
+      );
+      this.totalStreamsFailed++;
+      throw err;
+    }
+
+    streamInstance.state = "streaming";
+    this.streams.set(streamId, streamInstance);
+    if (streamInstance.key) {
+      this.liveStreamKeys.set(streamInstance.key, streamId);
+    }
+    this.emit("stream-started", {
+      streamId,
+      type,
+      contentType: streamInstance.contentType,
+      format,
+    });
+    console.log(
+      `[StreamManager][LIVE][${format.toUpperCase()}] ✅ Stream ${streamId} created and ready`,
+    );
+    return streamInstance;
+  }
+
+  /**
+   * Internal: open (or re-open) the display_pic.cgi connection for a live
+   * stream. Resolves on the first chunk, rejects if none arrives.
+   */
+  _connectLive(streamInstance) {
     return new Promise((resolve, reject) => {
       try {
+        const format = streamInstance.format;
+        const url = streamInstance.buildUrl(streamInstance);
         const urlObj = new URL(url);
         const transport = transportFor(url);
         const extraOptions = url.startsWith("https://") ? httpsOptions : {};
+        const connection = ++streamInstance.connection;
+        const isCurrent = () => streamInstance.connection === connection;
         let isResolved = false;
 
+        streamInstance.url = url;
+
         console.log(
           `[StreamManager][LIVE][${format.toUpperCase()}] Connecting to device...`,
         );
@@ -130,55 +460,61 @@ export class StreamManager extends EventEmitter {
               return;
             }
 
-            let contentType = response.headers["content-type"];
-            if (format === "h264") {
-              contentType = "video/mp4";
-            } else if (format === "mjpeg") {
-              contentType = contentType || "multipart/x-mixed-replace";
+            // Keep the content type of the first connection — clients
+            // already received it in their response headers. MJPEG is
+            // re-framed per JPEG, so it always uses our own boundary.
+            if (!streamInstance.contentType) {
+              let contentType = response.headers["content-type"];
+              if (format === "h264") {
+                // Raw Annex B elementary stream; LiveRemuxer wraps it for browsers
+                contentType = "video/h264";
+              } else if (format === "mjpeg") {
+                contentType = "multipart/x-mixed-replace; boundary=frame";
+              }
+              streamInstance.contentType = contentType;
             }
-
-            const streamInstance = {
-              id: streamId,
-              type,
-              url,
-              format,
-              contentType,
-              request,
-              deviceStream: response,
-              clients: new Set(),
-              startTime: Date.now(),
-              stats: { bytes: 0, clients: 0, startTime: Date.now() },
-              firstDataReceived: false,
-            };
+            streamInstance.deviceStream = response;
+            streamInstance.buffer = Buffer.alloc(0);
+            let firstChunk = true;
 
             response.on("data", (chunk) => {
-              if (!streamInstance.firstDataReceived) {
-                streamInstance.firstDataReceived = true;
-                console.log(
-                  `[StreamManager][LIVE][${format.toUpperCase()}] ✅ First data chunk received (${chunk.length} bytes)`,
-                );
-                const hex = chunk.slice(0, 16).toString("hex");
-                console.log(
-                  `[StreamManager][LIVE][${format.toUpperCase()}] First bytes (hex): ${hex}`,
-                );
-                if (!isResolved) {
-                  isResolved = true;
-                  this.streams.set(streamId, streamInstance);
-                  this.emit("stream-started", {
-                    streamId,
-                    type,
-                    contentType: streamInstance.contentType,
-                    format,
-                  });
+              if (!isCurrent()) return;
+
+              if (firstChunk) {
+                firstChunk = false;
+                if (!streamInstance.firstDataReceived) {
+                  streamInstance.firstDataReceived = true;
                   console.log(
-                    `[StreamManager][LIVE][${format.toUpperCase()}] ✅ Stream ${streamId} created and ready`,
+                    `[StreamManager][LIVE][${format.toUpperCase()}] ✅ First data chunk received (${chunk.length} bytes)`,
                   );
+                  const hex = chunk.slice(0, 16).toString("hex");
+                  console.log(
+                    `[StreamManager][LIVE][${format.toUpperCase()}] First bytes (hex): ${hex}`,
+                  );
+                }
+                if (!isResolved) {
+                  isResolved = true;
                   resolve(streamInstance);
                 }
               }
 
               streamInstance.stats.bytes += chunk.length;
 
+              if (format === "mjpeg") {
+                extractJpegFrames(streamInstance, chunk, (frame, prefix) =>
+                  this._broadcastFrame(
+                    streamInstance,
+                    frame,
+                    parseFrameHeader(frame, prefix),
+                  ),
+                );
+                return;
+              }
+
+              streamInstance.sinks.forEach((sink) => sink.onData?.(chunk));
+
+              // H.264 is passed through byte-for-byte; there are no frame
+              // boundaries to drop at, so slow clients simply buffer.
               streamInstance.clients.forEach((client) => {
                 try {
                   if (!client.destroyed && !client.writableEnded) {
@@ -194,32 +530,54 @@ export class StreamManager extends EventEmitter {
             });
 
             response.on("end", () => {
+              if (!isCurrent()) return;
               console.log(
-                `[StreamManager][LIVE][${format.toUpperCase()}] Device stream ended for ${streamId}`,
+                `[StreamManager][LIVE][${format.toUpperCase()}] Device stream ended for ${streamInstance.id}`,
               );
               console.log(
                 `[StreamManager][LIVE][${format.toUpperCase()}] Stats: ${(streamInstance.stats.bytes / 1024 / 1024).toFixed(2)} MB transferred`,
               );
-              this.stopStream(streamId);
+              if (!isResolved) {
+                isResolved = true;
+                reject(new Error("Device closed the stream before sending data"));
+              } else {
+                this._upstreamLost(streamInstance, null);
+              }
             });
 
             response.on("error", (err) => {
+              if (!isCurrent()) return;
               console.error(
                 `[StreamManager][LIVE][${format.toUpperCase()}] Device stream error:`,
                 err.message,
               );
-              this._handleStreamError(streamId, err);
+              if (!isResolved) {
+                isResolved = true;
+                reject(err);
+              } else {
+                this._upstreamLost(streamInstance, err);
+              }
+            });
+
+            // Sockets torn down without 'end' (VPN drop, idle timeout)
+            response.on("close", () => {
+              if (isCurrent() && isResolved) {
+                this._upstreamLost(streamInstance, null);
+              }
             });
 
             setTimeout(() => {
-              if (!streamInstance.firstDataReceived && !isResolved) {
+              if (!isResolved) {
                 isResolved = true;
+                request.destroy();
                 reject(new Error("Timeout waiting for first data from device"));
               }
             }, 10000);
           },
         );
 
+        streamInstance.request = request;
+
         request.on("error", (err) => {
           console.error(
             `[StreamManager][LIVE][${format.toUpperCase()}] HTTP request error:`,
@@ -244,11 +602,6 @@ export class StreamManager extends EventEmitter {
 
         request.end();
       } catch (err) {
-        console.error(
-          `[StreamManager][LIVE] Failed to create stream:`,
-          err.message,
-        );
-        this.totalStreamsFailed++;
         reject(err);
       }
     });
@@ -260,14 +613,20 @@ export class StreamManager extends EventEmitter {
    * URL parameters:
    *  - fields=0    continuous stream until client disconnects (not a fixed burst)
    *  - speed=N     positive = fast-forward, negative = rewind, 1 = real-time
+   *                (whole numbers only — see deviceSpeedFor)
    *  - realtime=1  INTENTIONALLY OMITTED — it throttles frame delivery to match
    *                original recording pace, which causes the device to stall on
    *                sparse recordings and triggers the watchdog before any frames
-   *                arrive. Without it the device pushes frames as fast as it can,
-   *                which is what we want for both normal and variable-speed replay.
+   *                arrive. Without it the device pushes frames as fast as it can
+   *                and _enqueueFrame paces them to clients by their recorded time,
+   *                including fractional speeds (0.25x, 0.5x).
+   *
+   * options.pacing === false delivers frames as they arrive.
+   * options.clock ({ time, wall }) paces against a clock shared with other
+   * streams instead of one of its own — see _releaseFrames.
    */
   async startReplayStream(deviceIp, cam = 1, timestamp, options = {}) {
-    const streamId = `replay_${deviceIp}_${cam}_${timestamp}_${Date.now()}`;
+    const streamId = `replay_${streamIdPart(deviceIp)}_${cam}_${timestamp}_${Date.now()}`;
 
     if (this.streams.size >= this.maxStreams) {
       throw new Error(`Maximum streams limit reached (${this.maxStreams})`);
@@ -277,20 +636,37 @@ export class StreamManager extends EventEmitter {
 
     let base = deviceIp;
     if (!/^[a-zA-Z][a-zA-Z0-9+.-]*:\/\//.test(base)) base = `http://${base}`;
-    const url = new URL(
-      `/replay_pic.cgi?cam=${cam}&control=PLAY&time=${timestamp}&format=jpeg&fields=0&speed=${speed}&id=${Date.now()}`,
-      base,
-    ).toString();
+    // A reconnect resumes from the last frame time delivered to clients.
+    // `burst` overrides time/fields/speed for one-off frame grabs (stepping).
+    const buildUrl = (stream, burst = {}) =>
+      new URL(
+        `/replay_pic.cgi?cam=${cam}&control=PLAY&time=${Math.floor(burst.time ?? stream.position ?? stream.timestamp)}&format=jpeg&fields=${burst.fields ?? 0}&speed=${deviceSpeedFor(burst.speed ?? stream.speed)}&id=${Date.now()}`,
+        base,
+      ).toString();
 
     console.log(`[StreamManager][REPLAY] Starting replay stream: ${streamId}`);
-    console.log(`[StreamManager][REPLAY] URL: ${url}`);
+    console.log(
+      `[StreamManager][REPLAY] URL: ${buildUrl({ timestamp, speed })}`,
+    );
     console.log(
       `[StreamManager][REPLAY] Timestamp: ${new Date(timestamp * 1000).toISOString()}`,
     );
     console.log(`[StreamManager][REPLAY] Speed: ${speed}x`);
     console.log(`[StreamManager][REPLAY] Mode: PROXIED with MJPEG conversion`);
 
-    const stream = await this._createReplayStream(streamId, url, "replay", options);
+    await this._claimSlot(streamId, deviceIp, cam, "replay", options.deviceType);
+    let stream;
+    try {
+      stream = await this._createReplayStream(streamId, buildUrl, "replay", {
+        ...options,
+        timestamp,
+        speed,
+        device: deviceIp,
+        cam,
+      });
+    } finally {
+      this.reservations.delete(streamId);
+    }
 
     this.totalStreamsCreated++;
     return stream;
@@ -305,15 +681,81 @@ export class StreamManager extends EventEmitter {
    *    closes the connection before sending a single frame.
    *  - A 20s watchdog rejects if the device hangs without sending or closing.
    *  - isResolved flag prevents double-resolve/double-reject in all race conditions.
+   *  - Once running, an upstream drop reconnects from the last delivered frame
+   *    time (see _upstreamLost); clients stay attached throughout.
    */
-  async _createReplayStream(streamId, url, type, options = {}) {
+  async _createReplayStream(streamId, buildUrl, type, options = {}) {
+    const streamInstance = {
+      id: streamId,
+      type,
+      url: null,
+      buildUrl,
+      device: options.device,
+      cam: options.cam,
+      timestamp: options.timestamp,
+      speed: options.speed ?? 1,
+      position: null,
+      contentType: "multipart/x-mixed-replace; boundary=frame",
+      request: null,
+      deviceStream: null,
+      clients: new Set(),
+      clientStats: new Map(),
+      sinks: new Set(),
+      refs: 1,
+      idleSince: null,
+      state: "connecting",
+      connection: 0,
+      reconnect: this._newReconnectState(options),
+      startTime: Date.now(),
+      stats: { bytes: 0, frames: 0, droppedFrames: 0, clients: 0, startTime: Date.now() },
+      buffer: Buffer.alloc(0),
+      frameHeader: null,
+      pacer: this._newPacerState(options),
+    };
+
+    try {
+      await this._connectReplay(streamInstance);
+    } catch (err) {
+      console.error(
+        `[StreamManager][REPLAY] Failed to create stream:`,
+        err.message,
+      );
+      this.totalStreamsFailed++;
+      throw err;
+    }
+
+    streamInstance.state = "streaming";
+    this.streams.set(streamId, streamInstance);
+    this.emit("stream-started", {
+      streamId,
+      type,
+      contentType: streamInstance.contentType,
+    });
+    return streamInstance;
+  }
+
+  /**
+   * Internal: open (or re-open) the replay_pic.cgi connection for a replay
+   * stream and parse JPEG frames out of it.
+   */
+  _connectReplay(streamInstance) {
     return new Promise((resolve, reject) => {
       try {
+        const url = streamInstance.buildUrl(streamInstance);
         const urlObj = new URL(url);
         const transport = transportFor(url);
         const extraOptions = url.startsWith("https://") ? httpsOptions : {};
+        const connection = ++streamInstance.connection;
+        const isCurrent = () => streamInstance.connection === connection;
         let isResolved = false;
 
+        streamInstance.url = url;
+        // Never stitch a partial frame from a dropped connection onto a new one
+        streamInstance.buffer = Buffer.alloc(0);
+        // The new connection starts at the last delivered frame; anything
+        // still queued from the old one would be shown twice.
+        this._resetPacer(streamInstance);
+
         const watchdog = setTimeout(() => {
           if (!isResolved) {
             isResolved = true;
@@ -322,7 +764,7 @@ export class StreamManager extends EventEmitter {
             );
             request.destroy();
             reject(
-              new Error(
+              noRecordingError(
                 "No recording found: device did not send any frames within 20s. " +
                 "The requested timestamp may fall in a gap between recorded segments.",
               ),
@@ -368,85 +810,34 @@ export class StreamManager extends EventEmitter {
               return;
             }
 
-            const streamInstance = {
-              id: streamId,
-              type,
-              url,
-              contentType: "multipart/x-mixed-replace; boundary=frame",
-              request,
-              deviceStream: response,
-              clients: new Set(),
-              startTime: Date.now(),
-              stats: { bytes: 0, frames: 0, clients: 0, startTime: Date.now() },
-              buffer: Buffer.alloc(0),
-            };
+            streamInstance.deviceStream = response;
 
             response.on("data", (chunk) => {
-              streamInstance.buffer = Buffer.concat([
-                streamInstance.buffer,
-                chunk,
-              ]);
-
-              // Parse complete JPEG frames from the buffer.
-              // SOI = 0xFF 0xD8, EOI = 0xFF 0xD9
-              let start = streamInstance.buffer.indexOf(
-                Buffer.from([0xff, 0xd8]),
-              );
-              let end = streamInstance.buffer.indexOf(
-                Buffer.from([0xff, 0xd9]),
-                start + 2,
-              );
-
-              while (start !== -1 && end !== -1) {
-                const frame = streamInstance.buffer.slice(start, end + 2);
+              if (!isCurrent() || !streamInstance.buffer) return;
 
+              extractJpegFrames(streamInstance, chunk, (frame, prefix) => {
                 if (!isResolved) {
                   isResolved = true;
                   clearTimeout(watchdog);
-                  this.streams.set(streamId, streamInstance);
-                  this.emit("stream-started", {
-                    streamId,
-                    type,
-                    contentType: streamInstance.contentType,
-                  });
                   console.log(
-                    `[StreamManager][REPLAY] ✅ First frame received (${frame.length} bytes), stream ${streamId} ready`,
+                    `[StreamManager][REPLAY] ✅ First frame received (${frame.length} bytes), stream ${streamInstance.id} ready`,
                   );
                   resolve(streamInstance);
                 }
 
-                streamInstance.clients.forEach((client) => {
-                  try {
-                    if (!client.destroyed && !client.writableEnded) {
-                      client.write(`--frame\r\n`);
-                      client.write(`Content-Type: image/jpeg\r\n`);
-                      client.write(`Content-Length: ${frame.length}\r\n`);
-                      client.write(`\r\n`);
-                      client.write(frame);
-                      client.write(`\r\n`);
-                    }
-                  } catch (err) {
-                    // Individual client write errors are non-fatal
-                  }
-                });
-
-                streamInstance.stats.bytes += frame.length;
-                streamInstance.stats.frames++;
-
-                streamInstance.buffer = streamInstance.buffer.slice(end + 2);
-                start = streamInstance.buffer.indexOf(
-                  Buffer.from([0xff, 0xd8]),
-                );
-                end = streamInstance.buffer.indexOf(
-                  Buffer.from([0xff, 0xd9]),
-                  start + 2,
-                );
-              }
+                const header = parseFrameHeader(frame, prefix);
+                if (streamInstance.pacer.enabled) {
+                  this._enqueueFrame(streamInstance, frame, header);
+                } else {
+                  this._deliverReplayFrame(streamInstance, frame, header);
+                }
+              });
             });
 
             response.on("end", () => {
+              if (!isCurrent()) return;
               console.log(
-                `[StreamManager][REPLAY] Device stream ended for ${streamId}`,
+                `[StreamManager][REPLAY] Device stream ended for ${streamInstance.id}`,
               );
               console.log(
                 `[StreamManager][REPLAY] Stats: ${streamInstance.stats.frames} frames, ${(streamInstance.stats.bytes / 1024 / 1024).toFixed(2)} MB`,
@@ -456,16 +847,17 @@ export class StreamManager extends EventEmitter {
                 isResolved = true;
                 clearTimeout(watchdog);
                 reject(
-                  new Error(
+                  noRecordingError(
                     "No recording found at the requested timestamp",
                   ),
                 );
               } else {
-                this.stopStream(streamId);
+                this._upstreamLost(streamInstance, null);
               }
             });
 
             response.on("error", (err) => {
+              if (!isCurrent()) return;
               console.error(
                 `[StreamManager][REPLAY] Device stream error:`,
                 err.message,
@@ -475,12 +867,21 @@ export class StreamManager extends EventEmitter {
                 isResolved = true;
                 reject(err);
               } else {
-                this._handleStreamError(streamId, err);
+                this._upstreamLost(streamInstance, err);
+              }
+            });
+
+            // Sockets torn down without 'end' (VPN drop, idle timeout)
+            response.on("close", () => {
+              if (isCurrent() && isResolved) {
+                this._upstreamLost(streamInstance, null);
               }
             });
           },
         );
 
+        streamInstance.request = request;
+
         request.on("error", (err) => {
           console.error(
             `[StreamManager][REPLAY] HTTP request error: ${err.message}`,
@@ -498,16 +899,649 @@ export class StreamManager extends EventEmitter {
           // Watchdog handles the reject — don't double-reject here
         });
       } catch (err) {
-        console.error(
-          `[StreamManager][REPLAY] Failed to create stream:`,
-          err.message,
-        );
-        this.totalStreamsFailed++;
         reject(err);
       }
     });
   }
 
+  /**
+   * Internal: fan a JPEG frame out to every client as a multipart part.
+   *
+   * A client whose last write did not drain is skipped; it keeps only the
+   * newest frame and gets it on 'drain', so a slow client sees a lower
+   * frame rate instead of an ever-growing buffer in Node.
+   *
+   * Sinks get every frame with { number, time, title, alarm } from the
+   * frame's NetVu header; fields the frame does not carry are null.
+   */
+  _broadcastFrame(streamInstance, frame, header = null) {
+    streamInstance.stats.frames++;
+    streamInstance.frameHeader = header ?? streamInstance.frameHeader;
+    const meta = {
+      number: streamInstance.stats.frames,
+      time: header?.time ?? null,
+      title: header?.title ?? null,
+      alarm: header?.alarm ?? null,
+    };
+    streamInstance.sinks.forEach((sink) => sink.onFrame?.(frame, meta));
+    const part = { frame, header };
+
+    streamInstance.clients.forEach((client) => {
+      const clientStats = streamInstance.clientStats.get(client);
+      if (!clientStats || client.destroyed || client.writableEnded) return;
+
+      if (clientStats.waitingForDrain) {
+        if (clientStats.pendingFrame) {
+          clientStats.dropped++;
+          streamInstance.stats.droppedFrames++;
+        }
+        clientStats.pendingFrame = part;
+        return;
+      }
+
+      this._writeFrame(streamInstance, client, clientStats, part);
+    });
+  }
+
+  _writeFrame(streamInstance, client, clientStats, { frame, header }) {
+    let drained;
+    try {
+      client.write(
+        `--frame\r\nContent-Type: image/jpeg\r\nContent-Length: ${frame.length}\r\n${frameHeaderLines(header)}\r\n`,
+      );
+      client.write(frame);
+      drained = client.write(`\r\n`);
+    } catch (err) {
+      // Individual client write errors are non-fatal
+      return;
+    }
+
+    clientStats.sent++;
+    if (drained) return;
+
+    clientStats.waitingForDrain = true;
+    client.once("drain", () => {
+      clientStats.waitingForDrain = false;
+      const next = clientStats.pendingFrame;
+      clientStats.pendingFrame = null;
+      if (next && !client.destroyed && !client.writableEnded) {
+        this._writeFrame(streamInstance, client, clientStats, next);
+      }
+    });
+  }
+
+  _deliverReplayFrame(stream, frame, header) {
+    this._broadcastFrame(stream, frame, header);
+    stream.stats.bytes += frame.length;
+    stream.position = header?.time ?? stream.position;
+  }
+
+  /**
+   * Internal: pacing bookkeeping for a new replay stream.
+   */
+  _newPacerState(options = {}) {
+    return {
+      enabled: options.pacing !== false,
+      queue: [],
+      bytes: 0,
+      timer: null,
+      anchor: null, // { time, wall }: recorded time shown at wall clock ms
+      clock: options.clock ?? null, // shared anchor, outlives resets
+      lastTime: null,
+      upstreamPaused: false,
+      onDrained: null,
+      reanchors: 0,
+      lateDrops: 0,
+    };
+  }
+
+  /**
+   * Internal: drop queued frames and forget the clock anchor (new
+   * connection, pause, stop).
+   */
+  _resetPacer(stream) {
+    const p = stream.pacer;
+    if (!p) return;
+    if (p.timer) clearTimeout(p.timer);
+    p.timer = null;
+    p.queue = [];
+    p.bytes = 0;
+    p.anchor = null;
+    p.lastTime = null;
+    p.upstreamPaused = false;
+    p.onDrained = null;
+  }
+
+  /**
+   * Internal: queue a parsed replay frame for paced delivery. A full queue
+   * pauses the device response; the socket timeout is lifted meanwhile so
+   * a long wait at 0.25x is not mistaken for a dead upstream.
+   */
+  _enqueueFrame(stream, frame, header) {
+    const p = stream.pacer;
+    p.queue.push({ frame, header });
+    p.bytes += frame.length;
+
+    if (
+      !p.upstreamPaused &&
+      stream.deviceStream &&
+      (p.queue.length >= this.pacing.maxBufferedFrames ||
+        p.bytes >= this.pacing.maxBufferedBytes)
+    ) {
+      p.upstreamPaused = true;
+      stream.deviceStream.pause();
+      stream.request?.setTimeout(0);
+    }
+
+    if (!p.timer) this._releaseFrames(stream);
+  }
+
+  /**
+   * Internal: hand queued frames to clients when their recorded time comes
+   * up. Frame n is due at anchor.wall + (time_n - anchor.time) / speed.
+   * Frames without a time go out immediately.
+   *
+   * Own clock: re-anchors on jumps larger than maxGap (recording gaps) and
+   * when delivery has fallen behind, so a slow device never causes a
+   * catch-up burst.
+   * Shared clock: never re-anchors — a gap is waited out and late frames
+   * are skipped, so every stream on the clock shows the same instant. The
+   * clock's wall time is set by the first frame of any of its streams.
+   */
+  _releaseFrames(stream) {
+    const p = stream.pacer;
+    p.timer = null;
+
+    while (p.queue.length > 0) {
+      if (stream.state === "paused" || stream.state === "stopped") return;
+
+      const { frame, header } = p.queue[0];
+      const time = header?.time;
+      const now = Date.now();
+
+      if (time !== undefined && p.clock) {
+        if (p.clock.wall === null) p.clock.wall = now + this.pacing.syncDelay;
+
+        const due = p.clock.wall + ((time - p.clock.time) / stream.speed) * 1000;
+        if (due > now) {
+          p.timer = setTimeout(() => this._releaseFrames(stream), due - now);
+          return;
+        }
+        if (now - due > this.pacing.maxLag) {
+          p.queue.shift();
+          p.bytes -= frame.length;
+          p.lateDrops++;
+          stream.stats.droppedFrames++;
+          continue;
+        }
+      } else if (time !== undefined) {
+        const step = p.lastTime === null ? null : (time - p.lastTime) * Math.sign(stream.speed);
+        if (!p.anchor || step === null || step < 0 || step > this.pacing.maxGap) {
+          if (p.anchor) p.reanchors++;
+          p.anchor = { time, wall: now };
+        }
+
+        const due = p.anchor.wall + ((time - p.anchor.time) / stream.speed) * 1000;
+        if (due > now) {
+          p.timer = setTimeout(() => this._releaseFrames(stream), due - now);
+          return;
+        }
+        if (now - due > 500) p.anchor = { time, wall: now };
+        p.lastTime = time;
+      }
+
+      p.queue.shift();
+      p.bytes -= frame.length;
+      this._deliverReplayFrame(stream, frame, header);
+
+      if (
+        p.upstreamPaused &&
+        p.queue.length <= this.pacing.maxBufferedFrames / 2 &&
+        p.bytes <= this.pacing.maxBufferedBytes / 2
+      ) {
+        p.upstreamPaused = false;
+        stream.request?.setTimeout(20000);
+        stream.deviceStream?.resume();
+      }
+    }
+
+    if (p.onDrained) {
+      const onDrained = p.onDrained;
+      p.onDrained = null;
+      onDrained();
+    }
+  }
+
+  /**
+   * Internal: reconnect bookkeeping for a new stream.
+   * options.reconnect === false opts a stream out of reconnecting.
+   */
+  _newReconnectState(options = {}) {
+    return {
+      enabled: options.reconnect !== false && this.reconnect.maxAttempts > 0,
+      attempt: 0,
+      timer: null,
+      outageStart: null,
+      outages: 0,
+      reconnects: 0,
+      totalOutageMs: 0,
+      lastError: null,
+    };
+  }
+
+  /**
+   * Internal: the upstream of a running stream ended or errored.
+   * Clients stay attached while we retry with exponential backoff.
+   */
+  _upstreamLost(stream, error) {
+    if (this.streams.get(stream.id) !== stream) return;
+    if (stream.state !== "streaming") return;
+
+    // Play out what is already buffered first; reconnecting now would
+    // restart from the last delivered frame and throw the buffer away.
+    if (stream.pacer?.queue.length > 0) {
+      stream.pacer.onDrained = () => this._upstreamLost(stream, error);
+      return;
+    }
+
+    if (!stream.reconnect.enabled) {
+      if (error) this._handleStreamError(stream.id, error);
+      else this.stopStream(stream.id, "upstream ended");
+      return;
+    }
+
+    const streamTypeLabel = stream.type.toUpperCase();
+    const reason = error ? error.message : "Device stream ended";
+
+    stream.state = "reconnecting";
+    stream.reconnect.outageStart = Date.now();
+    stream.reconnect.outages++;
+    stream.reconnect.lastError = reason;
+    if (stream.request) stream.request.destroy();
+
+    console.warn(
+      `[StreamManager][${streamTypeLabel}] Upstream lost for ${stream.id} (${reason}), reconnecting`,
+    );
+    this.emit("stream-outage", {
+      streamId: stream.id,
+      type: stream.type,
+      reason,
+      position: stream.position ?? null,
+    });
+
+    this._scheduleReconnect(stream);
+  }
+
+  /**
+   * Internal: queue the next reconnect attempt.
+   * Delay doubles per attempt: baseDelay, 2×, 4×, … capped at maxDelay.
+   */
+  _scheduleReconnect(stream) {
+    const streamTypeLabel = stream.type.toUpperCase();
+    const r = stream.reconnect;
+
+    if (r.attempt >= this.reconnect.maxAttempts) {
+      this._handleStreamError(
+        stream.id,
+        new Error(
+          `Upstream lost: gave up after ${r.attempt} reconnect attempts (${r.lastError})`,
+        ),
+      );
+      return;
+    }
+
+    const delay = Math.min(
+      this.reconnect.baseDelay * 2 ** r.attempt,
+      this.reconnect.maxDelay,
+    );
+    r.attempt++;
+
+    console.log(
+      `[StreamManager][${streamTypeLabel}] Reconnect attempt ${r.attempt}/${this.reconnect.maxAttempts} for ${stream.id} in ${delay}ms`,
+    );
+    this.emit("stream-reconnecting", {
+      streamId: stream.id,
+      type: stream.type,
+      attempt: r.attempt,
+      maxAttempts: this.reconnect.maxAttempts,
+      delay,
+    });
+
+    r.timer = setTimeout(async () => {
+      r.timer = null;
+      if (this.streams.get(stream.id) !== stream) return;
+
+      const attempt =
+        stream.type === "replay"
+          ? this._connectReplay(stream)
+          : this._connectLive(stream);
+      // A transport control issued meanwhile supersedes this attempt
+      const connection = stream.connection;
+
+      try {
+        await attempt;
+      } catch (err) {
+        if (this.streams.get(stream.id) !== stream) return;
+        if (stream.connection !== connection) return;
+        r.lastError = err.message;
+
+        // Replay ran off the end of the recording — nothing to reconnect to
+        if (err.code === "NO_RECORDING") {
+          console.log(
+            `[StreamManager][${streamTypeLabel}] No more recording after ${stream.position}, stopping ${stream.id}`,
+          );
+          this.stopStream(stream.id, "end of recording");
+          return;
+        }
+
+        console.warn(
+          `[StreamManager][${streamTypeLabel}] Reconnect attempt ${r.attempt} failed: ${err.message}`,
+        );
+        this._scheduleReconnect(stream);
+        return;
+      }
+
+      // Stopped while the attempt was in flight
+      if (this.streams.get(stream.id) !== stream) {
+        if (stream.request) stream.request.destroy();
+        return;
+      }
+      if (stream.connection !== connection) return;
+
+      const outage = Date.now() - r.outageStart;
+      const attempts = r.attempt;
+      r.totalOutageMs += outage;
+      r.reconnects++;
+      r.attempt = 0;
+      r.outageStart = null;
+      stream.state = "streaming";
+
+      console.log(
+        `[StreamManager][${streamTypeLabel}] ✅ Reconnected ${stream.id} after ${attempts} attempt(s), outage ${(outage / 1000).toFixed(1)}s`,
+      );
+      this.emit("stream-reconnected", {
+        streamId: stream.id,
+        type: stream.type,
+        attempts,
+        outage,
+        position: stream.position ?? null,
+      });
+    }, delay);
+  }
+
+  /**
+   * Apply a transport control to a running replay stream. The upstream
+   * replay_pic.cgi connection is re-opened as needed while clients stay
+   * attached, so the browser's multipart response never closes.
+   *
+   * Actions: pause, resume, seek ({ time }), speed ({ speed }),
+   * step-forward, step-back. Resolves with the playback state afterwards.
+   */
+  async controlReplay(streamId, action, params = {}) {
+    const stream = this.streams.get(streamId);
+    if (!stream) {
+      throw new Error(`Stream ${streamId} not found`);
+    }
+    if (stream.type !== "replay") {
+      throw new Error(`Stream ${streamId} is not a replay stream`);
+    }
+
+    console.log(`[StreamManager][REPLAY] Control ${action} on ${streamId}`);
+
+    switch (action) {
+      case "pause":
+        this._suspendUpstream(stream, "paused");
+        break;
+      case "resume":
+        await this._restartReplay(stream);
+        break;
+      case "seek":
+        stream.position = params.time;
+        // Paused: show the frame at the new position and stay paused
+        if (stream.state === "paused") await this._stepReplay(stream, 0);
+        else await this._restartReplay(stream);
+        break;
+      case "speed":
+        stream.speed = params.speed;
+        if (stream.state !== "paused") await this._restartReplay(stream);
+        break;
+      case "step-forward":
+        this._suspendUpstream(stream, "paused");
+        await this._stepReplay(stream, 1);
+        break;
+      case "step-back":
+        this._suspendUpstream(stream, "paused");
+        await this._stepReplay(stream, -1);
+        break;
+      default:
+        throw new Error(`Unknown control action: ${action}`);
+    }
+
+    const playback = this.getPlayback(streamId);
+    this.emit("stream-control", { streamId, action, ...playback });
+    return playback;
+  }
+
+  /**
+   * Current playback state of a replay stream, or null.
+   */
+  getPlayback(streamId) {
+    const stream = this.streams.get(streamId);
+    if (!stream || stream.type !== "replay") return null;
+
+    const position = stream.position ?? stream.timestamp;
+    return {
+      streamId,
+      state: stream.state,
+      speed: stream.speed,
+      position,
+      positionDate: new Date(position * 1000).toISOString(),
+      title: stream.frameHeader?.title ?? null,
+      alarm: stream.frameHeader?.alarm ?? null,
+      buffered: stream.pacer.queue.length,
+    };
+  }
+
+  /**
+   * Internal: close the upstream without touching clients. Handlers of the
+   * closed connection are orphaned by bumping the connection counter, so the
+   * close is not mistaken for an outage.
+   */
+  _suspendUpstream(stream, state) {
+    const r = stream.reconnect;
+    if (r.timer) {
+      clearTimeout(r.timer);
+      r.timer = null;
+    }
+    if (r.outageStart) {
+      r.totalOutageMs += Date.now() - r.outageStart;
+      r.outageStart = null;
+    }
+    r.attempt = 0;
+
+    stream.state = state;
+    stream.connection++;
+    if (stream.pacer) this._resetPacer(stream);
+    if (stream.request) stream.request.destroy();
+    stream.request = null;
+    stream.deviceStream = null;
+  }
+
+  /**
+   * Internal: re-open the replay upstream at the current position and speed.
+   * If the device has nothing there the stream is left paused.
+   */
+  async _restartReplay(stream) {
+    this._suspendUpstream(stream, "seeking");
+
+    const attempt = this._connectReplay(stream);
+    const connection = stream.connection;
+
+    try {
+      await attempt;
+    } catch (err) {
+      if (stream.connection === connection && stream.state === "seeking") {
+        stream.state = "paused";
+      }
+      throw err;
+    }
+
+    if (this.streams.get(stream.id) !== stream) {
+      if (stream.request) stream.request.destroy();
+      return;
+    }
+    if (stream.connection === connection) stream.state = "streaming";
+  }
+
+  /**
+   * Internal: deliver a single frame to a paused replay stream.
+   * direction 1 = next frame after the position, -1 = the one before it,
+   * 0 = the frame at the position (used by seek while paused).
+   *
+   * replay_pic.cgi only seeks to whole seconds, so we grab a short burst
+   * around the position and pick the neighbouring frame by its recorded time.
+   * Frames without a time (no NetVu header) cannot be placed in the burst;
+   * then we step in whole seconds and ask for the target second itself.
+   */
+  async _stepReplay(stream, direction) {
+    const position = stream.position ?? stream.timestamp;
+    const fields = direction < 0 ? 100 : 50;
+    const url = stream.buildUrl(stream, {
+      time: direction < 0 ? Math.floor(position) - 2 : Math.floor(position),
+      fields,
+      speed: 1,
+    });
+
+    const frames = await this._grabFrames(url, fields);
+    if (this.streams.get(stream.id) !== stream) return;
+
+    const timed = frames.filter((f) => f.time !== null);
+    let picked;
+    let time;
+    if (timed.length > 0) {
+      if (direction > 0) picked = timed.find((f) => f.time > position);
+      else if (direction < 0) picked = timed.filter((f) => f.time < position).pop();
+      else picked = timed.find((f) => f.time >= position);
+      time = picked?.time;
+    } else {
+      time = direction === 0 ? position : Math.floor(position) + direction;
+      [picked] = await this._grabFrames(
+        stream.buildUrl(stream, { time: Math.floor(time), fields: 1, speed: 1 }),
+        1,
+      );
+      if (this.streams.get(stream.id) !== stream) return;
+    }
+
+    if (!picked) {
+      throw noRecordingError(
+        `No recorded frame ${direction < 0 ? "before" : "after"} ${new Date(position * 1000).toISOString()}`,
+      );
+    }
+
+    this._broadcastFrame(stream, picked.frame, picked.header);
+    stream.stats.bytes += picked.frame.length;
+    stream.position = time;
+  }
+
+  /**
+   * Grab a single JPEG without starting a stream: live from display_pic.cgi,
+   * or the first frame at a recorded timestamp from replay_pic.cgi. The
+   * upstream closes as soon as the frame is parsed. Resolves with
+   * { frame, time, header } — header is the frame's NetVu header, or null.
+   */
+  async grabFrame(deviceIp, cam = 1, timestamp = null, options = {}) {
+    const resolution = options.resolution || "hi";
+
+    let base = deviceIp;
+    if (!/^[a-zA-Z][a-zA-Z0-9+.-]*:\/\//.test(base)) base = `http://${base}`;
+    const url = new URL(
+      timestamp
+        ? `/replay_pic.cgi?cam=${cam}&control=PLAY&time=${timestamp}&format=jpeg&fields=1&speed=1&id=${Date.now()}`
+        : `/display_pic.cgi?cam=${cam}&res=${resolution}&format=jpeg&id=${Date.now()}`,
+      base,
+    ).toString();
+
+    console.log(
+      `[StreamManager][SNAPSHOT] Grabbing ${timestamp ? `frame at ${new Date(timestamp * 1000).toISOString()}` : "live frame"}: ${url}`,
+    );
+
+    const [first] = await this._grabFrames(url, 1, options.timeout || 20000);
+    return first;
+  }
+
+  /**
+   * Internal: fetch up to maxFrames JPEG frames from a replay_pic.cgi or
+   * display_pic.cgi URL, then close the connection. Each entry is
+   * { frame, time, header } with the frame's NetVu header (or null).
+   */
+  _grabFrames(url, maxFrames = 1, timeoutMs = 20000) {
+    return new Promise((resolve, reject) => {
+      const urlObj = new URL(url);
+      const transport = transportFor(url);
+      const extraOptions = url.startsWith("https://") ? httpsOptions : {};
+      const holder = { buffer: Buffer.alloc(0) };
+      const frames = [];
+      let isResolved = false;
+
+      const finish = (err) => {
+        if (isResolved) return;
+        isResolved = true;
+        clearTimeout(watchdog);
+        request.destroy();
+        if (frames.length > 0) resolve(frames);
+        else reject(err);
+      };
+
+      const watchdog = setTimeout(
+        () =>
+          finish(
+            noRecordingError(
+              `No recording found: device did not send any frames within ${timeoutMs / 1000}s`,
+            ),
+          ),
+        timeoutMs,
+      );
+
+      const request = transport.get(
+        url,
+        {
+          headers: { Accept: "*/*", Connection: "close", Host: urlObj.host },
+          timeout: timeoutMs,
+          ...extraOptions,
+        },
+        (response) => {
+          if (response.statusCode !== 200) {
+            response.resume();
+            finish(new Error(`Device returned status ${response.statusCode}`));
+            return;
+          }
+
+          response.on("data", (chunk) => {
+            extractJpegFrames(holder, chunk, (frame, prefix) => {
+              if (frames.length < maxFrames) {
+                const header = parseFrameHeader(frame, prefix);
+                frames.push({ frame, time: header?.time ?? null, header });
+              }
+            });
+            if (frames.length >= maxFrames) finish();
+          });
+          response.on("end", () =>
+            finish(noRecordingError("No recording found at the requested timestamp")),
+          );
+          response.on("error", finish);
+        },
+      );
+
+      request.on("error", finish);
+      request.on("timeout", () => finish(new Error("Connection timeout")));
+    });
+  }
+
+  /**
+   * Attach a client response to a stream. The client takes over the
+   * reference the caller got from startLiveStream/startReplayStream and
+   * releases it when it disconnects.
+   */
   addClient(streamId, clientStream) {
     const stream = this.streams.get(streamId);
     if (!stream) {
@@ -515,26 +1549,38 @@ export class StreamManager extends EventEmitter {
       return false;
     }
 
+    const streamTypeLabel = stream.type.toUpperCase();
+
+    // The client may have gone away while the upstream was connecting
+    if (clientStream.destroyed || clientStream.writableEnded) {
+      console.log(
+        `[StreamManager][${streamTypeLabel}] Client left before attaching to ${streamId}`,
+      );
+      this.releaseStream(streamId);
+      return false;
+    }
+
     stream.clients.add(clientStream);
+    stream.clientStats.set(clientStream, {
+      id: ++this.totalClientsConnected,
+      remoteAddress: clientStream.req?.socket?.remoteAddress ?? null,
+      connectedAt: Date.now(),
+      sent: 0,
+      dropped: 0,
+      waitingForDrain: false,
+      pendingFrame: null,
+    });
     stream.stats.clients = stream.clients.size;
 
-    const streamTypeLabel = stream.type.toUpperCase();
     console.log(
       `[StreamManager][${streamTypeLabel}] Client connected to ${streamId} (${stream.clients.size} total)`,
     );
 
     clientStream.on("close", () => {
-      console.log(
-        `[StreamManager][${streamTypeLabel}] Client disconnected from ${streamId}`,
-      );
-      stream.clients.delete(clientStream);
-      stream.stats.clients = stream.clients.size;
-
-      if (stream.clients.size === 0) {
+      if (this._removeClient(stream, clientStream)) {
         console.log(
-          `[StreamManager][${streamTypeLabel}] No clients left, stopping stream ${streamId}`,
+          `[StreamManager][${streamTypeLabel}] Client disconnected from ${streamId}`,
         );
-        this.stopStream(streamId);
       }
     });
 
@@ -545,14 +1591,124 @@ export class StreamManager extends EventEmitter {
           err.message,
         );
       }
-      stream.clients.delete(clientStream);
-      stream.stats.clients = stream.clients.size;
+      this._removeClient(stream, clientStream);
     });
 
     return true;
   }
 
-  stopStream(streamId) {
+  /**
+   * Internal: detach a client and give back its reference. Safe to call
+   * more than once for the same client ('error' then 'close', the reaper).
+   */
+  _removeClient(stream, clientStream) {
+    if (!stream.clients.delete(clientStream)) return false;
+    stream.clientStats.delete(clientStream);
+    stream.stats.clients = stream.clients.size;
+    this.releaseStream(stream.id);
+    return true;
+  }
+
+  /**
+   * Attach an in-process consumer (HLS packager, …) to a stream.
+   *
+   *   sink.onFrame(frame, meta)  every JPEG of an MJPEG or replay stream
+   *   sink.onData(chunk)         every raw chunk of an H.264 live stream
+   *   sink.onStop(reason)        the stream has stopped
+   *
+   * Sinks do not hold a reference; their owner keeps the one it got from
+   * startLiveStream/startReplayStream. Returns a function that detaches it.
+   */
+  addSink(streamId, sink) {
+    const stream = this.streams.get(streamId);
+    if (!stream) {
+      throw new Error(`Stream ${streamId} not found`);
+    }
+    stream.sinks.add(sink);
+    return () => stream.sinks.delete(sink);
+  }
+
+  /**
+   * Take another reference on a running stream, e.g. for a second viewer
+   * of a stream someone else started. Returns the stream, or null.
+   */
+  retainStream(streamId) {
+    const stream = this.streams.get(streamId);
+    if (!stream) return null;
+    this._retain(stream);
+    return stream;
+  }
+
+  /**
+   * Drop one reference on a stream. When the last reference goes the
+   * stream is left idle, and the reaper stops it once it has stayed
+   * without viewers for idleGracePeriod ms.
+   */
+  releaseStream(streamId) {
+    const stream = this.streams.get(streamId);
+    if (!stream) return false;
+
+    stream.refs = Math.max(0, stream.refs - 1);
+    if (stream.refs === 0 && stream.idleSince === null) {
+      const streamTypeLabel = stream.type.toUpperCase();
+      if (this.idleGracePeriod <= 0) {
+        console.log(
+          `[StreamManager][${streamTypeLabel}] No viewers left, stopping stream ${streamId}`,
+        );
+        this.stopStream(streamId, "idle");
+        return true;
+      }
+      stream.idleSince = Date.now();
+      console.log(
+        `[StreamManager][${streamTypeLabel}] No viewers left on ${streamId}, stopping in ${(this.idleGracePeriod / 1000).toFixed(0)}s unless one joins`,
+      );
+    }
+    return true;
+  }
+
+  // Internal: take a reference, ending any idle grace period
+  _retain(stream) {
+    stream.refs++;
+    if (stream.idleSince !== null) {
+      console.log(
+        `[StreamManager][${stream.type.toUpperCase()}] Viewer rejoined idle stream ${stream.id}`,
+      );
+      stream.idleSince = null;
+    }
+  }
+
+  /**
+   * Internal: periodic sweep. Drops clients whose response is already
+   * destroyed or ended, then stops streams idle for longer than the grace
+   * period.
+   */
+  _reap() {
+    const now = Date.now();
+    Array.from(this.streams.values()).forEach((stream) => {
+      stream.clients.forEach((client) => {
+        if (client.destroyed || client.writableEnded) {
+          console.log(
+            `[StreamManager][${stream.type.toUpperCase()}] Reaping closed client of ${stream.id}`,
+          );
+          this._removeClient(stream, client);
+        }
+      });
+
+      if (stream.idleSince !== null && now - stream.idleSince >= this.idleGracePeriod) {
+        console.log(
+          `[StreamManager][${stream.type.toUpperCase()}] No viewers for ${((now - stream.idleSince) / 1000).toFixed(0)}s, stopping stream ${stream.id}`,
+        );
+        this.stopStream(stream.id, "idle");
+      }
+    });
+  }
+
+  /**
+   * Stop a stream now, whatever its references. `reason` is reported in the
+   * stream-stopped event and to sinks: "requested", "idle", "error",
+   * "upstream ended", "end of recording", "shutdown", …
+   */
+  stopStream(streamId, reason = "requested") {
     const stream = this.streams.get(streamId);
 
     if (!stream) {
@@ -561,10 +1717,15 @@ export class StreamManager extends EventEmitter {
 
     const streamTypeLabel = stream.type.toUpperCase();
     console.log(
-      `[StreamManager][${streamTypeLabel}] Stopping stream: ${streamId}`,
+      `[StreamManager][${streamTypeLabel}] Stopping stream: ${streamId} (${reason})`,
     );
 
     try {
+      stream.state = "stopped";
+      if (stream.reconnect && stream.reconnect.timer) {
+        clearTimeout(stream.reconnect.timer);
+      }
+      if (stream.pacer) this._resetPacer(stream);
       if (stream.request) stream.request.destroy();
       if (stream.deviceStream) stream.deviceStream.destroy();
 
@@ -583,6 +1744,9 @@ export class StreamManager extends EventEmitter {
       }
 
       this.streams.delete(streamId);
+      if (stream.key && this.liveStreamKeys.get(stream.key) === streamId) {
+        this.liveStreamKeys.delete(stream.key);
+      }
 
       const duration = Date.now() - stream.startTime;
       const frames = stream.stats.frames || "N/A";
@@ -595,10 +1759,20 @@ export class StreamManager extends EventEmitter {
 
       this.emit("stream-stopped", {
         streamId,
+        reason,
         duration,
         stats: stream.stats,
       });
 
+      stream.sinks.forEach((sink) => {
+        try {
+          sink.onStop?.(reason);
+        } catch (err) {
+          // Ignore
+        }
+      });
+      stream.sinks.clear();
+
       return true;
     } catch (err) {
       console.error(
@@ -617,7 +1791,7 @@ export class StreamManager extends EventEmitter {
       error.message,
     );
     this.emit("stream-error", { streamId, error });
-    this.stopStream(streamId);
+    this.stopStream(streamId, "error");
   }
 
   getStream(streamId) {
@@ -628,11 +1802,47 @@ export class StreamManager extends EventEmitter {
     return Array.from(this.streams.values()).map((s) => ({
       id: s.id,
       type: s.type,
+      device: s.device ?? null,
+      cam: s.cam ?? null,
       format: s.format,
       contentType: s.contentType,
       clients: s.clients.size,
+      refs: s.refs,
+      state: s.state,
+      idleFor: s.idleSince !== null ? Date.now() - s.idleSince : null,
+      position: s.position ?? null,
+      frameTime: s.frameHeader?.time ?? null,
+      title: s.frameHeader?.title ?? null,
+      pacing: s.pacer
+        ? {
+            enabled: s.pacer.enabled,
+            bufferedFrames: s.pacer.queue.length,
+            bufferedBytes: s.pacer.bytes,
+            upstreamPaused: s.pacer.upstreamPaused,
+            reanchors: s.pacer.reanchors,
+            sharedClock: Boolean(s.pacer.clock),
+            lateDrops: s.pacer.lateDrops,
+          }
+        : undefined,
       uptime: Date.now() - s.startTime,
       stats: s.stats,
+      clientStats: Array.from(s.clientStats.values()).map((c) => ({
+        id: c.id,
+        remoteAddress: c.remoteAddress,
+        connectedFor: Date.now() - c.connectedAt,
+        framesSent: c.sent,
+        framesDropped: c.dropped,
+        waitingForDrain: c.waitingForDrain,
+      })),
+      reconnect: {
+        attempt: s.reconnect.attempt,
+        outages: s.reconnect.outages,
+        reconnects: s.reconnect.reconnects,
+        totalOutageMs:
+          s.reconnect.totalOutageMs +
+          (s.reconnect.outageStart ? Date.now() - s.reconnect.outageStart : 0),
+        lastError: s.reconnect.lastError,
+      },
     }));
   }
 
@@ -643,13 +1853,16 @@ export class StreamManager extends EventEmitter {
       totalCreated: this.totalStreamsCreated,
       totalFailed: this.totalStreamsFailed,
       availableSlots: this.maxStreams - this.streams.size,
+      idleStreams: Array.from(this.streams.values()).filter((s) => s.idleSince !== null).length,
+      idleGracePeriod: this.idleGracePeriod,
     };
   }
 
   cleanup() {
     console.log(`[StreamManager] Cleaning up ${this.streams.size} streams...`);
     const streamIds = Array.from(this.streams.keys());
-    streamIds.forEach((id) => this.stopStream(id));
+    clearInterval(this.reaper);
+    streamIds.forEach((id) => this.stopStream(id, "shutdown"));
     console.log("[StreamManager] Cleanup complete");
   }
 }
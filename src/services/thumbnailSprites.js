@@ -0,0 +1,291 @@
+/**
+ * Thumbnail Sprites - timeline hover previews for recorded ranges
+ *
+ * Samples frames at even intervals across the recorded part of a range
+ * (the vparts list, so gaps are skipped), tiles them into one JPEG sprite
+ * sheet with FFmpeg and describes it with a WebVTT file whose cues map
+ * time ranges to #xywh= regions of the sprite.
+ *
+ * Cue times are seconds from the requested start, so the VTT lines up with
+ * a timeline that begins at `start`.
+ *
+ * Output lives in <tmp>/kamsguard_thumbnails/<key>/ and is kept across
+ * restarts — recorded footage does not change. Ranges that reach into the
+ * future are generated fresh each time and never cached. The least recently
+ * fetched sheets are evicted once the cache grows past maxBytes.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnFfmpeg } from "./videoConverter.js";
+import { runWithConcurrency } from "../utils/concurrency.js";
+
+const SPRITE = "sprite.jpg";
+const VTT = "thumbnails.vtt";
+const SPRITE_FILE_PATTERN = /^(sprite\.jpg|thumbnails\.vtt)$/;
+
+export class ThumbnailSprites {
+  constructor(streamManager, options = {}) {
+    this.streamManager = streamManager;
+    this.rootDir =
+      options.rootDir || path.join(os.tmpdir(), "kamsguard_thumbnails");
+    this.columns = options.columns || 10;
+    this.concurrency = options.concurrency || 3;
+    this.maxBytes = options.maxBytes || 512 * 1024 * 1024;
+    this.pending = new Map(); // key -> Promise
+  }
+
+  /**
+   * Cache key for a request. Identical requests share one sprite sheet.
+   */
+  keyFor(deviceUrl, cam, start, end, count, width) {
+    return crypto
+      .createHash("sha1")
+      .update([deviceUrl, cam, start, end, count, width].join("|"))
+      .digest("hex")
+      .slice(0, 16);
+  }
+
+  /**
+   * Sprite sheet + VTT for a range, from cache when possible.
+   * getVparts is only called on a cache miss.
+   * Resolves with { key, dir, cached, count, columns, rows, width, height }.
+   */
+  async getSprites({ deviceUrl, cam, start, end, count, width }, getVparts) {
+    const key = this.keyFor(deviceUrl, cam, start, end, count, width);
+    const dir = path.join(this.rootDir, key);
+    const meta = path.join(dir, "meta.json");
+
+    if (fs.existsSync(meta)) {
+      console.log(`[ThumbnailSprites] Cache hit ${key}`);
+      // meta.json's mtime doubles as "last fetched" for eviction
+      const now = new Date();
+      fs.utimes(meta, now, now, () => {});
+      return { ...JSON.parse(fs.readFileSync(meta, "utf8")), cached: true };
+    }
+
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const job = this._generate(key, dir, { deviceUrl, cam, start, end, count, width }, getVparts)
+      .finally(() => this.pending.delete(key));
+    this.pending.set(key, job);
+    return job;
+  }
+
+  /**
+   * Absolute path of a sprite or VTT file, or null.
+   */
+  resolveFile(key, file) {
+    if (!/^[0-9a-f]{16}$/.test(key) || !SPRITE_FILE_PATTERN.test(file))
+      return null;
+    const filePath = path.join(this.rootDir, key, file);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  async _generate(key, dir, request, getVparts) {
+    const { deviceUrl, cam, start, end, count, width } = request;
+    const height = Math.round((width * 3) / 4 / 2) * 2;
+    const samples = sampleTimes(await getVparts(), start, end, count);
+    if (samples.length === 0) {
+      const err = new Error("No recording in the requested range");
+      err.code = "NO_RECORDING";
+      throw err;
+    }
+
+    const workDir = `${dir}.tmp-${process.pid}-${Date.now()}`;
+    fs.mkdirSync(workDir, { recursive: true });
+
+    try {
+      console.log(
+        `[ThumbnailSprites] Grabbing ${samples.length} frames for ${key}`,
+      );
+      const frames = await runWithConcurrency(
+        samples,
+        this.concurrency,
+        async (sample) => {
+          try {
+            const grabbed = await this.streamManager.grabFrame(
+              deviceUrl,
+              cam,
+              Math.floor(sample.time),
+              { timeout: 10000 },
+            );
+            return grabbed.frame;
+          } catch (err) {
+            console.warn(
+              `[ThumbnailSprites] No frame at ${sample.time}: ${err.message}`,
+            );
+            return null;
+          }
+        },
+      );
+
+      if (frames.every((f) => !f))
+        throw new Error("Device did not return any frames for the range");
+
+      // A missed grab shows its nearest neighbour rather than a hole
+      frames.forEach((frame, i) => {
+        const fill =
+          frame || frames.slice(0, i).reverse().find(Boolean) || frames.slice(i).find(Boolean);
+        const name = `thumb_${String(i).padStart(4, "0")}.jpg`;
+        fs.writeFileSync(path.join(workDir, name), fill);
+      });
+
+      const columns = Math.min(this.columns, samples.length);
+      const rows = Math.ceil(samples.length / columns);
+      await this._stitch(workDir, columns, rows, width, height);
+
+      fs.writeFileSync(
+        path.join(workDir, VTT),
+        buildVtt(samples, start, columns, width, height, key),
+      );
+
+      const result = {
+        key,
+        count: samples.length,
+        columns,
+        rows,
+        width,
+        height,
+        missing: frames.filter((f) => !f).length,
+        generatedAt: new Date().toISOString(),
+      };
+
+      fs.readdirSync(workDir)
+        .filter((f) => f.startsWith("thumb_"))
+        .forEach((f) => fs.unlinkSync(path.join(workDir, f)));
+
+      // Ranges that are still being recorded must not be served from cache
+      if (end <= Math.floor(Date.now() / 1000)) {
+        fs.writeFileSync(path.join(workDir, "meta.json"), JSON.stringify(result));
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+      fs.renameSync(workDir, dir);
+      this._evict(key);
+
+      console.log(
+        `[ThumbnailSprites] ✅ ${key}: ${columns}x${rows} sprite, ${result.missing} missing frame(s)`,
+      );
+      return { ...result, cached: false };
+    } catch (err) {
+      fs.rmSync(workDir, { recursive: true, force: true });
+      throw err;
+    }
+  }
+
+  // Drop least recently fetched sheets until the cache fits; never the one
+  // just generated, which the client is about to ask for
+  _evict(keep) {
+    const sheets = fs
+      .readdirSync(this.rootDir)
+      .filter((f) => /^[0-9a-f]{16}$/.test(f))
+      .map((key) => {
+        const dir = path.join(this.rootDir, key);
+        const files = fs.readdirSync(dir);
+        return {
+          key,
+          dir,
+          size: files.reduce((sum, f) => sum + fs.statSync(path.join(dir, f)).size, 0),
+          // No meta.json: a range still being recorded, never fetched again
+          lastFetched: files.includes("meta.json") ? fs.statSync(path.join(dir, "meta.json")).mtimeMs : 0,
+        };
+      })
+      .sort((a, b) => a.lastFetched - b.lastFetched);
+    let total = sheets.reduce((sum, sheet) => sum + sheet.size, 0);
+    for (const sheet of sheets) {
+      if (total <= this.maxBytes) break;
+      if (sheet.key === keep) continue;
+      fs.rmSync(sheet.dir, { recursive: true, force: true });
+      total -= sheet.size;
+      console.log(`[ThumbnailSprites] Evicted ${sheet.key}`);
+    }
+  }
+
+  _stitch(workDir, columns, rows, width, height) {
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawnFfmpeg(
+        [
+          "-y",
+          "-f", "image2",
+          "-i", path.join(workDir, "thumb_%04d.jpg"),
+          "-vf",
+          `scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+            `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,tile=${columns}x${rows}`,
+          "-frames:v", "1",
+          "-q:v", "4",
+          path.join(workDir, SPRITE),
+        ],
+        "Thumbnail sprite",
+      );
+      ffmpeg.on("error", reject);
+      ffmpeg.on("close", (code) => {
+        if (code === 0 && fs.existsSync(path.join(workDir, SPRITE))) resolve();
+        else reject(new Error(`FFmpeg failed to build sprite (exit ${code})`));
+      });
+    });
+  }
+}
+
+/**
+ * Spread `count` sample times evenly over the recorded seconds of
+ * [start, end], skipping the gaps between vparts. Each sample owns the
+ * slice of timeline up to the next sample.
+ */
+function sampleTimes(vparts, start, end, count) {
+  const spans = vparts
+    .map((v) => ({ start: Math.max(v.start, start), end: Math.min(v.end, end) }))
+    .filter((s) => s.end > s.start)
+    .sort((a, b) => a.start - b.start);
+
+  const total = spans.reduce((sum, s) => sum + (s.end - s.start), 0);
+  if (total === 0) return [];
+
+  const step = total / count;
+  const samples = [];
+  let spanIndex = 0;
+  let before = 0; // recorded seconds in spans before spanIndex
+
+  for (let i = 0; i < count; i++) {
+    const offset = i * step;
+    while (before + (spans[spanIndex].end - spans[spanIndex].start) <= offset) {
+      before += spans[spanIndex].end - spans[spanIndex].start;
+      spanIndex++;
+    }
+    const time = spans[spanIndex].start + (offset - before);
+    // Two samples landing on the same second add nothing to the strip
+    if (samples.length && Math.floor(samples[samples.length - 1].time) === Math.floor(time))
+      continue;
+    samples.push({ time });
+  }
+
+  samples.forEach((sample, i) => {
+    sample.cueStart = i === 0 ? start : sample.time;
+    sample.cueEnd = i + 1 < samples.length ? samples[i + 1].time : end;
+  });
+  return samples;
+}
+
+function buildVtt(samples, start, columns, width, height, key) {
+  const ts = (seconds) => {
+    const ms = Math.round(Math.max(0, seconds) * 1000);
+    const h = String(Math.floor(ms / 3600000)).padStart(2, "0");
+    const m = String(Math.floor((ms % 3600000) / 60000)).padStart(2, "0");
+    const s = String(Math.floor((ms % 60000) / 1000)).padStart(2, "0");
+    return `${h}:${m}:${s}.${String(ms % 1000).padStart(3, "0")}`;
+  };
+
+  const cues = samples.map((sample, i) => {
+    const x = (i % columns) * width;
+    const y = Math.floor(i / columns) * height;
+    return (
+      `${ts(sample.cueStart - start)} --> ${ts(sample.cueEnd - start)}\n` +
+      `/api/vparts/thumbnails/${key}/${SPRITE}#xywh=${x},${y},${width},${height}`
+    );
+  });
+
+  return `WEBVTT\n\n${cues.join("\n\n")}\n`;
+}
+
+export default ThumbnailSprites;
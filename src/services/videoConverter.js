@@ -11,6 +11,7 @@ import path from 'path';
 import http from 'http';
 import https from 'https';
 import { URL } from 'url';
+import { recordVpartSize, recordConversionRun, predictConversion } from './conversionHistory.js';
 
 // ── ffprobePath from ffprobe-static is an object: { path: '...' }
 // Normalise so we always have a plain string regardless of package version.
@@ -22,8 +23,9 @@ const FFPROBE = ffprobeInstaller.path;
 /**
  * Download a file from URL to local path.
  * Supports both http and https, and follows redirects once.
+ * source: { deviceUrl, path } when the file is a vpart, to record its size.
  */
-export async function downloadFile(url, outputPath) {
+export async function downloadFile(url, outputPath, source = null) {
   return new Promise((resolve, reject) => {
     console.log(`[VideoConverter] Downloading: ${url}`);
 
@@ -69,7 +71,7 @@ export async function downloadFile(url, outputPath) {
         fs.unlink(outputPath, () => {});
         const redirectUrl = response.headers.location;
         console.log(`[VideoConverter] Following redirect to: ${redirectUrl}`);
-        return downloadFile(redirectUrl, outputPath)
+        return downloadFile(redirectUrl, outputPath, source)
           .then(resolve).catch(reject);
       }
 
@@ -81,6 +83,7 @@ export async function downloadFile(url, outputPath) {
 
       let downloadedBytes = 0;
       const totalBytes = parseInt(response.headers['content-length'] || '0');
+      if (totalBytes > 0) _recordSize(source, totalBytes);
 
       response.on('data', (chunk) => {
         downloadedBytes += chunk.length;
@@ -94,6 +97,7 @@ export async function downloadFile(url, outputPath) {
 
       file.on('finish', () => {
         file.close();
+        if (!totalBytes) _recordSize(source, downloadedBytes);
         console.log(`\n[VideoConverter] Download complete: ${outputPath}`);
         resolve(outputPath);
       });
@@ -120,6 +124,31 @@ export async function downloadFile(url, outputPath) {
   });
 }
 
+/**
+ * Size of the file at `url` from its Content-Length, without downloading
+ * it: the request is dropped as soon as the headers arrive. Resolves to
+ * null when the device does not send one. source as for downloadFile.
+ */
+export function probeFileSize(url, source = null) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https://') ? https : http;
+    const request = client.get(url, { rejectUnauthorized: false }, (response) => {
+      response.destroy();
+      if (response.statusCode !== 200) {
+        return reject(new Error(`Probe failed with status ${response.statusCode}`));
+      }
+      const bytes = parseInt(response.headers['content-length'] || '0');
+      if (bytes > 0) _recordSize(source, bytes);
+      resolve(bytes > 0 ? bytes : null);
+    });
+    request.on('error', (err) => reject(new Error(`Probe request failed: ${err.message}`)));
+    request.setTimeout(15000, () => {
+      request.destroy();
+      reject(new Error('Probe timeout after 15 seconds'));
+    });
+  });
+}
+
 // ====== CONVERSION ======
 
 /**
@@ -129,11 +158,15 @@ export async function downloadFile(url, outputPath) {
  * Strategy: try stream-copy first (fast, no quality loss).
  * If FFmpeg exits non-zero, fall back to libx264 re-encode.
  */
-export async function convertParToMp4Single(parFilePath, outputPath) {
+export async function convertParToMp4Single(parFilePath, outputPath, context = {}) {
+  // Run times are recorded against the device and input size for estimates
+  const runContext = { ...context, inputBytes: _fileSize(parFilePath) };
+
   // --- attempt 1: stream copy (no re-encode) ---
   const ok = await _ffmpegRun(
     ['-i', parFilePath, '-c', 'copy', '-movflags', '+faststart', '-y', outputPath],
-    'stream-copy'
+    'stream-copy',
+    { ...runContext, kind: 'copy' }
   );
 
   if (ok) return outputPath;
@@ -148,7 +181,8 @@ export async function convertParToMp4Single(parFilePath, outputPath) {
       '-movflags', '+faststart',
       '-f', 'mp4', '-y', outputPath
     ],
-    'libx264 re-encode'
+    'libx264 re-encode',
+    { ...runContext, kind: 'encode' }
   );
 
   return outputPath;
@@ -179,7 +213,11 @@ export async function convertParToMp4(parFiles, outputPath, options = {}) {
     '-f', 'mp4', '-y', outputPath
   );
 
-  await _ffmpegRunOrThrow(args, 'concat+encode');
+  await _ffmpegRunOrThrow(args, 'concat+encode', {
+    deviceUrl: options.deviceUrl,
+    kind: 'encode',
+    inputBytes: parFiles.reduce((sum, f) => sum + (_fileSize(f) || 0), 0),
+  });
 
   // Clean up concat list
   const concatList = path.join(path.dirname(outputPath), 'concat.txt');
@@ -188,6 +226,151 @@ export async function convertParToMp4(parFiles, outputPath, options = {}) {
   return outputPath;
 }
 
+/**
+ * Cut a window out of each of one or more PAR files and join the pieces, in
+ * order, into one MP4. Each part is { file, offset, duration } in seconds
+ * from the start of that file (no duration: to its end), so gaps between
+ * recordings do not shift the cut.
+ *
+ * Strategy as convertParToMp4Single: stream copy first, seeking each input
+ * before it is read so a copy starts on the keyframe at or before `offset`,
+ * then a libx264 re-encode if that fails. Every piece goes the same way so
+ * they join without another re-encode.
+ * options.exact skips the copy so the cut lands on the exact frame.
+ */
+export async function extractClip(parts, outputPath, options = {}) {
+  const { exact = false } = options;
+  const stem = outputPath.replace(/\.mp4$/, '');
+  const pieces = parts.length === 1 ? [outputPath] : parts.map((_, i) => `${stem}_part${i}.mp4`);
+  const concatList = `${stem}_concat.txt`;
+  const runContext = {
+    deviceUrl: options.deviceUrl,
+    kind: 'partial',
+    inputBytes: parts.reduce((sum, p) => sum + (_fileSize(p.file) || 0), 0),
+  };
+
+  const cutAll = async (codec, label) => {
+    for (const [i, part] of parts.entries()) {
+      const ok = await _ffmpegRun(
+        [
+          ...(part.offset ? ['-ss', String(part.offset)] : []), '-i', part.file,
+          ...(part.duration ? ['-t', String(part.duration)] : []),
+          ...codec, '-movflags', '+faststart', '-f', 'mp4', '-y', pieces[i]
+        ],
+        label,
+        runContext
+      );
+      if (!ok) return false;
+    }
+    if (parts.length === 1) return true;
+
+    fs.writeFileSync(concatList, pieces.map(f => `file '${f}'`).join('\n'));
+    return _ffmpegRun(
+      ['-f', 'concat', '-safe', '0', '-i', concatList, '-c', 'copy', '-movflags', '+faststart', '-f', 'mp4', '-y', outputPath],
+      'clip join',
+      runContext
+    );
+  };
+
+  try {
+    if (!exact && await cutAll(['-c', 'copy', '-avoid_negative_ts', 'make_zero'], 'clip stream-copy')) {
+      return outputPath;
+    }
+    const encoded = await cutAll(
+      ['-c:v', 'libx264', '-preset', 'fast', '-crf', '23', '-c:a', 'aac', '-b:a', '128k'],
+      'clip re-encode'
+    );
+    if (!encoded) throw new Error('FFmpeg (clip re-encode) failed');
+    return outputPath;
+  } finally {
+    if (parts.length > 1) [...pieces, concatList].forEach((f) => fs.rm(f, { force: true }, () => {}));
+  }
+}
+
+/**
+ * Frame-accurate cut of [offset, offset + duration] seconds of one PAR file
+ * into an MP4, re-encoding as little as possible: only the partial GOPs at
+ * either end go through libx264, everything between the first and last
+ * keyframe inside the cut is stream-copied.
+ *
+ * The re-encoded ends and the copied middle have different SPS/PPS, so one
+ * avcC cannot describe them all. Every part repeats its parameter sets
+ * before each keyframe and the MP4 is written as avc3, where players take
+ * them from the stream rather than the sample description.
+ *
+ * Anything but a silent H.264 recording, a cut inside a single GOP, or a
+ * join FFmpeg refuses is re-encoded whole by extractClip instead.
+ */
+export async function smartCut(parFilePath, outputPath, options = {}) {
+  const { offset = 0, duration, deviceUrl } = options;
+  const end = offset + duration;
+  const info = await _keyframes(parFilePath);
+  const first = info?.keyframes.find((t) => t >= offset);
+  const last = info?.keyframes.filter((t) => t <= end).pop();
+
+  if (!info || info.codec !== 'h264' || info.hasAudio || first === undefined || !(last > first)) {
+    return extractClip([{ file: parFilePath, offset, duration }], outputPath, { exact: true, deviceUrl });
+  }
+
+  // Boundaries sit half a millisecond inside each part so a keyframe is
+  // neither dropped nor written twice
+  const EPS = 0.0005;
+  const stem = outputPath.replace(/\.mp4$/, '');
+  const runContext = { deviceUrl, kind: 'partial', inputBytes: _fileSize(parFilePath) };
+  const encode = [
+    '-c:v', 'libx264', '-preset', 'fast', '-crf', '18', '-x264-params', 'repeat-headers=1',
+    '-an', '-f', 'mpegts'
+  ];
+  const parts = [];
+
+  try {
+    if (first - offset > EPS) {
+      parts.push(`${stem}_head.ts`);
+      await _ffmpegRunOrThrow(
+        ['-ss', String(offset), '-i', parFilePath, '-t', String(first - offset - EPS), ...encode, '-y', parts.at(-1)],
+        'cut head re-encode',
+        runContext
+      );
+    }
+
+    parts.push(`${stem}_middle.ts`);
+    await _ffmpegRunOrThrow(
+      [
+        '-ss', String(first + EPS), '-i', parFilePath, '-t', String(last - first - EPS),
+        '-c:v', 'copy', '-an', '-bsf:v', 'h264_mp4toannexb', '-f', 'mpegts', '-y', parts.at(-1)
+      ],
+      'cut stream-copy',
+      runContext
+    );
+
+    if (end - last > EPS) {
+      parts.push(`${stem}_tail.ts`);
+      await _ffmpegRunOrThrow(
+        ['-ss', String(last - EPS), '-i', parFilePath, '-t', String(end - last + EPS), ...encode, '-y', parts.at(-1)],
+        'cut tail re-encode',
+        runContext
+      );
+    }
+
+    const concatList = `${stem}_parts.txt`;
+    parts.push(concatList);
+    fs.writeFileSync(concatList, parts.slice(0, -1).map(f => `file '${f}'`).join('\n'));
+    const joined = await _ffmpegRun(
+      [
+        '-f', 'concat', '-safe', '0', '-i', concatList,
+        '-c', 'copy', '-tag:v', 'avc3', '-movflags', '+faststart', '-f', 'mp4', '-y', outputPath
+      ],
+      'cut join',
+      runContext
+    );
+    if (joined) return outputPath;
+    console.log(`[VideoConverter] Join failed, re-encoding cut: ${path.basename(parFilePath)}`);
+  } finally {
+    parts.forEach((f) => fs.rm(f, { force: true }, () => {}));
+  }
+  return extractClip([{ file: parFilePath, offset, duration }], outputPath, { exact: true, deviceUrl });
+}
+
 /**
  * Fast stream-copy attempt, falling back to full re-encode.
  * Original API — kept for any callers outside the ZIP flow.
@@ -268,11 +451,65 @@ export async function checkFFmpegAvailable() {
 }
 
 /**
- * Rough conversion-time estimate (for UI hints only).
+ * Spawn a long-running FFmpeg process that the caller feeds through stdin
+ * (HLS packaging and the like). Unlike _ffmpegRun it returns the process
+ * itself; stderr is kept and only logged if FFmpeg fails.
+ *
+ * options.extraPipes opens that many more input pipes as fds 3, 4, …
+ * (FFmpeg reads them as pipe:3, pipe:4, …; we write to p.stdio[3], …).
  */
-export function estimateConversionTime(fileSizeMB, durationSeconds) {
+export function spawnFfmpeg(args, label = '', options = {}) {
+  console.log(`[VideoConverter] FFmpeg (${label}): ffmpeg ${args.join(' ')}`);
+  const extraPipes = options.extraPipes || 0;
+  const p = spawn(FFMPEG, ['-hide_banner', '-loglevel', 'error', ...args], {
+    stdio: ['pipe', 'pipe', 'pipe', ...Array(extraPipes).fill('pipe')],
+  });
+
+  let stderr = '';
+  p.stderr.on('data', (data) => { stderr = (stderr + data.toString()).slice(-2000); });
+
+  p.on('close', (code, signal) => {
+    if (code === 0 || signal) {
+      console.log(`[VideoConverter] ${label} finished`);
+    } else {
+      console.warn(`[VideoConverter] ⚠️  ${label} exited ${code}: ${stderr.trim()}`);
+    }
+  });
+  p.on('error', (err) => console.error(`[VideoConverter] ${label} failed to start: ${err.message}`));
+
+  // EPIPE when FFmpeg exits while we are still writing — the close handler reports it
+  p.stdin.on('error', () => {});
+  p.stdio.slice(3).forEach((pipe) => pipe.on('error', () => {}));
+
+  return p;
+}
+
+/**
+ * Conversion-time estimate (for UI hints only). Comes from the run history
+ * of the device/codec in `context` when there is enough of it; otherwise a
+ * fixed rule of thumb with confidence 0.
+ */
+export function estimateConversionTime(fileSizeMB, durationSeconds, context = {}) {
+  const predicted = predictConversion({ ...context, sizeMB: fileSizeMB });
+  if (predicted) {
+    return { ...predicted, formatted: formatDuration(predicted.seconds) };
+  }
   const totalSeconds = Math.ceil((durationSeconds / 60) * 7.5 + fileSizeMB / 50);
-  return { seconds: totalSeconds, formatted: _formatDuration(totalSeconds) };
+  return {
+    seconds: totalSeconds,
+    formatted: formatDuration(totalSeconds),
+    confidence: 0,
+    basis: 'default',
+    samples: 0,
+    path: null,
+    fallbackRate: null,
+  };
+}
+
+export function formatDuration(seconds) {
+  if (seconds < 60)   return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
 }
 
 // ====== PRIVATE HELPERS ======
@@ -280,24 +517,46 @@ export function estimateConversionTime(fileSizeMB, durationSeconds) {
 /**
  * Run FFmpeg with the given args.
  * Returns true on success, false on non-zero exit (does NOT throw).
+ *
+ * The wall-clock time of the run goes into the conversion history, with the
+ * input codec and duration FFmpeg reports and context.deviceUrl /
+ * context.kind / context.inputBytes.
  */
-function _ffmpegRun(args, label = '') {
+function _ffmpegRun(args, label = '', context = {}) {
   return new Promise((resolve) => {
     console.log(`[VideoConverter] FFmpeg (${label}): ffmpeg ${args.join(' ')}`);
+    const startedAt = Date.now();
     const p = spawn(FFMPEG, args);
 
+    // The input description comes first on stderr; keep enough to parse it
+    let header = '';
     p.stderr.on('data', (data) => {
+      if (header.length < 8192) header += data.toString();
       const m = data.toString().match(/time=(\d+):(\d+):(\d+)/);
       if (m) process.stdout.write(`\r[VideoConverter] (${label}) ${m[1]}h${m[2]}m${m[3]}s`);
     });
 
     p.on('close', (code) => {
       process.stdout.write('\n');
+      const wallMs = Date.now() - startedAt;
       if (code === 0) {
-        console.log(`[VideoConverter] ✅ ${label} succeeded`);
+        console.log(`[VideoConverter] ✅ ${label} succeeded (${(wallMs / 1000).toFixed(1)}s)`);
       } else {
         console.warn(`[VideoConverter] ⚠️  ${label} exited ${code}`);
       }
+
+      const dur = header.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+      recordConversionRun({
+        deviceUrl: context.deviceUrl,
+        codec: (header.match(/Video: (\w+)/) || [])[1],
+        label,
+        kind: context.kind,
+        ok: code === 0,
+        inputBytes: context.inputBytes,
+        mediaSeconds: dur ? parseInt(dur[1]) * 3600 + parseInt(dur[2]) * 60 + parseFloat(dur[3]) : null,
+        wallMs,
+      }).catch((err) => console.warn(`[VideoConverter] Could not record run: ${err.message}`));
+
       resolve(code === 0);
     });
 
@@ -308,15 +567,51 @@ function _ffmpegRun(args, label = '') {
 /**
  * Run FFmpeg and throw on failure.
  */
-async function _ffmpegRunOrThrow(args, label = '') {
-  const ok = await _ffmpegRun(args, label);
+async function _ffmpegRunOrThrow(args, label = '', context = {}) {
+  const ok = await _ffmpegRun(args, label, context);
   if (!ok) throw new Error(`FFmpeg (${label}) failed`);
 }
 
-function _formatDuration(seconds) {
-  if (seconds < 60)   return `${seconds}s`;
-  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
-  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+/**
+ * Keyframe times of the first video stream (seconds from the start of the
+ * file), with its codec and whether the file has audio. Only keyframes are
+ * decoded. Resolves to null if FFmpeg cannot read the file.
+ */
+function _keyframes(filePath) {
+  return new Promise((resolve) => {
+    const p = spawn(FFMPEG, [
+      '-hide_banner', '-skip_frame', 'nokey', '-i', filePath,
+      '-map', '0:v:0', '-vf', 'showinfo', '-f', 'null', '-'
+    ]);
+
+    let output = '';
+    p.stderr.on('data', (data) => { output += data.toString(); });
+
+    p.on('close', (code) => {
+      if (code !== 0) return resolve(null);
+      const start = parseFloat((output.match(/Duration: [^,]+, start: (-?[\d.]+)/) || [])[1] || '0');
+      resolve({
+        codec: (output.match(/Video: (\w+)/) || [])[1] || null,
+        hasAudio: output.includes('Audio:'),
+        keyframes: Array.from(output.matchAll(/pts_time:(-?[\d.]+)/g), (m) => parseFloat(m[1]) - start),
+      });
+    });
+    p.on('error', () => resolve(null));
+  });
+}
+
+function _fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch {
+    return null;
+  }
+}
+
+function _recordSize(source, bytes) {
+  if (!source) return;
+  recordVpartSize(source.deviceUrl, source.path, bytes)
+    .catch((err) => console.warn(`[VideoConverter] Could not record size: ${err.message}`));
 }
 
 export default {
@@ -324,8 +619,13 @@ export default {
   convertParToMp4Single,
   convertParToMp4,
   convertParToMp4Fast,
+  extractClip,
+  smartCut,
   analyzeParFile,
   cleanupTemp,
   checkFFmpegAvailable,
-  estimateConversionTime
+  spawnFfmpeg,
+  probeFileSize,
+  estimateConversionTime,
+  formatDuration
 };
\ No newline at end of file
@@ -0,0 +1,292 @@
+/**
+ * Vpart Index - vparts.cgi listings kept in netvu.db
+ *
+ * Listing vparts over a VPN link is slow, and recorded history does not
+ * change. list() answers from the vparts table for time ranges already
+ * listed in full (vpart_windows) and asks the device only for:
+ *
+ *  - ranges never listed, or listed only partially
+ *  - the recent edge (the last `edge` seconds), where the recorder is
+ *    still opening and growing vparts
+ *
+ * A complete listing of a range replaces what was cached for it, so vparts
+ * that vanished from the device go too. NVRs also overwrite their oldest
+ * recordings when the disk fills: each indexer pass probes the oldest cached
+ * vparts of a camera and drops those the device no longer lists.
+ *
+ * start() runs the indexer every `interval` ms, keeping the last `backfill`
+ * seconds of every camera of every device warm. Cameras are walked from 1
+ * and the walk stops at the first one with nothing recorded in that time,
+ * rather than listing all max_cameras of a device that has a few.
+ */
+
+import { getDb } from "../../db.js";
+import { listVparts, vpartEntry } from "../utils/netvuPager.js";
+import { deviceBaseUrl } from "../utils/deviceResolver.js";
+import { normalizeDeviceUrl } from "../utils/urlHelpers.js";
+import { runWithConcurrency } from "../utils/concurrency.js";
+
+const INSERT_BATCH = 100;
+
+// Parts of [start, end) not covered by windows (sorted by start)
+export function uncovered(windows, start, end) {
+  const ranges = [];
+  let cursor = start;
+  for (const w of windows) {
+    if (cursor >= end) break;
+    if (w.start_time > cursor) ranges.push({ start: cursor, end: Math.min(w.start_time, end) });
+    cursor = Math.max(cursor, w.end_time);
+  }
+  if (cursor < end) ranges.push({ start: cursor, end });
+  return ranges;
+}
+
+export class VpartIndex {
+  constructor(options = {}) {
+    this.edge = options.edge ?? 900;
+    this.interval = options.interval || 5 * 60 * 1000;
+    this.backfill = options.backfill || 24 * 3600;
+    this.concurrency = options.concurrency || 2;
+    this.pruneProbes = options.pruneProbes || 10;
+    this.timer = null;
+    this.indexing = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Vparts of `cam` overlapping [startTime, endTime], oldest first.
+   * Resolves with { vparts, complete, source } where source is "cache",
+   * "device" or "mixed". refresh re-lists the whole range from the device.
+   */
+  async list(deviceUrl, cam, startTime, endTime, { refresh = false } = {}) {
+    const url = normalizeDeviceUrl(deviceUrl);
+    const camNum = parseInt(cam);
+    const db = await getDb();
+    const settled = Math.floor(Date.now() / 1000) - this.edge;
+
+    const windows = refresh
+      ? []
+      : await db.all(
+          "SELECT start_time, end_time FROM vpart_windows WHERE device_url = ? AND cam = ? AND start_time < ? AND end_time > ? ORDER BY start_time",
+          url,
+          camNum,
+          endTime,
+          startTime,
+        );
+
+    const missing = uncovered(windows, startTime, Math.min(endTime, settled));
+    if (endTime > settled) {
+      const edgeStart = Math.max(startTime, settled);
+      const last = missing[missing.length - 1];
+      if (last && last.end >= edgeStart) last.end = endTime;
+      else missing.push({ start: edgeStart, end: endTime });
+    }
+
+    let complete = true;
+    for (const range of missing) {
+      const listing = await listVparts(url, camNum, range.start, range.end);
+      await this._store(db, url, camNum, range, listing, settled);
+      complete = complete && listing.complete;
+    }
+
+    const rows = await db.all(
+      "SELECT path, start_time, end_time FROM vparts WHERE device_url = ? AND cam = ? AND start_time < ? AND end_time > ? ORDER BY start_time",
+      url,
+      camNum,
+      endTime,
+      startTime,
+    );
+
+    return {
+      vparts: rows.map((r) => vpartEntry(r.path, r.start_time, r.end_time)),
+      complete,
+      source: missing.length === 0 ? "cache" : windows.length === 0 ? "device" : "mixed",
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+    this.indexAll();
+    this.timer = setInterval(() => this.indexAll(), this.interval);
+    this.timer.unref();
+  }
+
+  /**
+   * Bring every camera of every device up to date once. Overlapping calls
+   * share the run in progress.
+   */
+  indexAll() {
+    if (this.indexing) return this.indexing;
+    this.indexing = (async () => {
+      const startedAt = Date.now();
+      try {
+        const db = await getDb();
+        const devices = await db.all("SELECT * FROM devices");
+        const results = await runWithConcurrency(devices, this.concurrency, (device) =>
+          this._indexDevice(device),
+        );
+        this.lastRun = {
+          at: startedAt,
+          duration: Date.now() - startedAt,
+          devices: devices.length,
+          cameras: results.reduce((sum, n) => sum + n, 0),
+        };
+        console.log(
+          `[VpartIndex] Indexed ${this.lastRun.cameras} camera(s) on ${devices.length} device(s) in ${(this.lastRun.duration / 1000).toFixed(1)}s`,
+        );
+      } catch (err) {
+        console.error("[VpartIndex] Indexing failed:", err.message);
+      } finally {
+        this.indexing = null;
+      }
+    })();
+    return this.indexing;
+  }
+
+  async getStats() {
+    const db = await getDb();
+    const { vparts } = await db.get("SELECT COUNT(*) AS vparts FROM vparts");
+    const { windows } = await db.get("SELECT COUNT(*) AS windows FROM vpart_windows");
+    return { vparts, windows, indexing: !!this.indexing, lastRun: this.lastRun };
+  }
+
+  cleanup() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Returns the number of cameras indexed. An unreachable device is left
+  // for the next run after its first failure.
+  async _indexDevice(device) {
+    const url = deviceBaseUrl(device);
+    const now = Math.floor(Date.now() / 1000);
+    const cameras = device.max_cameras || 16;
+
+    for (let cam = 1; cam <= cameras; cam++) {
+      try {
+        const { vparts, complete } = await this.list(url, cam, now - this.backfill, now);
+        if (complete && vparts.length === 0) return cam;
+        await this._prune(url, cam);
+      } catch (err) {
+        console.warn(`[VpartIndex] ${device.name} (${device.ip_address}) skipped: ${err.message}`);
+        return cam - 1;
+      }
+    }
+    return cameras;
+  }
+
+  async _store(db, url, cam, range, listing, settled) {
+    const now = Date.now();
+
+    if (listing.complete) {
+      // Whatever the device no longer lists in this range is gone
+      const listed = new Set(listing.vparts.map((v) => v.path));
+      const cached = await db.all(
+        "SELECT path FROM vparts WHERE device_url = ? AND cam = ? AND start_time >= ? AND start_time < ?",
+        url,
+        cam,
+        range.start,
+        range.end,
+      );
+      for (const { path } of cached.filter((r) => !listed.has(r.path))) {
+        await db.run(
+          "DELETE FROM vparts WHERE device_url = ? AND cam = ? AND path = ?",
+          url,
+          cam,
+          path,
+        );
+      }
+    }
+
+    for (let i = 0; i < listing.vparts.length; i += INSERT_BATCH) {
+      const batch = listing.vparts.slice(i, i + INSERT_BATCH);
+      await db.run(
+        `INSERT INTO vparts (device_url, cam, path, start_time, end_time, seen_at)
+         VALUES ${batch.map(() => "(?, ?, ?, ?, ?, ?)").join(", ")}
+         ON CONFLICT (device_url, cam, path) DO UPDATE SET
+           start_time = excluded.start_time, end_time = excluded.end_time, seen_at = excluded.seen_at`,
+        batch.flatMap((v) => [url, cam, v.path, v.start, v.end, now]),
+      );
+    }
+
+    // Only a whole listing of settled time can be answered from cache later
+    const windowEnd = Math.min(range.end, settled);
+    if (listing.complete && windowEnd > range.start) {
+      await this._addWindow(db, url, cam, range.start, windowEnd, now);
+    }
+  }
+
+  // Record [start, end) as listed, merged with the windows it touches
+  async _addWindow(db, url, cam, start, end, fetchedAt) {
+    const touching = await db.all(
+      "SELECT rowid, start_time, end_time FROM vpart_windows WHERE device_url = ? AND cam = ? AND start_time <= ? AND end_time >= ?",
+      url,
+      cam,
+      end,
+      start,
+    );
+    for (const w of touching) {
+      await db.run("DELETE FROM vpart_windows WHERE rowid = ?", w.rowid);
+    }
+    await db.run(
+      "INSERT INTO vpart_windows (device_url, cam, start_time, end_time, fetched_at) VALUES (?, ?, ?, ?, ?)",
+      url,
+      cam,
+      Math.min(start, ...touching.map((w) => w.start_time)),
+      Math.max(end, ...touching.map((w) => w.end_time)),
+      fetchedAt,
+    );
+  }
+
+  // Drop cached vparts the recorder has overwritten, oldest first
+  async _prune(url, cam) {
+    const db = await getDb();
+    for (let probe = 0; probe < this.pruneProbes; probe++) {
+      const oldest = await db.get(
+        "SELECT path, start_time, end_time FROM vparts WHERE device_url = ? AND cam = ? ORDER BY start_time LIMIT 1",
+        url,
+        cam,
+      );
+      if (!oldest) return;
+
+      const span = { start: oldest.start_time, end: oldest.end_time };
+      const listing = await listVparts(url, cam, span.start, span.end);
+      if (listing.vparts.some((v) => v.path === oldest.path)) return;
+      // A partial listing cannot show it is gone; the next pass asks again
+      if (!listing.complete) return;
+
+      if (listing.vparts.length) {
+        // Recorded again under other names: the new listing replaces it
+        await this._store(db, url, cam, span, listing, Math.floor(Date.now() / 1000) - this.edge);
+        continue;
+      }
+
+      // Nothing left there: everything up to its end has been overwritten
+      const cutoff = oldest.end_time;
+      const { changes } = await db.run(
+        "DELETE FROM vparts WHERE device_url = ? AND cam = ? AND start_time < ?",
+        url,
+        cam,
+        cutoff,
+      );
+      await db.run(
+        "DELETE FROM vpart_windows WHERE device_url = ? AND cam = ? AND end_time <= ?",
+        url,
+        cam,
+        cutoff,
+      );
+      await db.run(
+        "UPDATE vpart_windows SET start_time = ? WHERE device_url = ? AND cam = ? AND start_time < ?",
+        cutoff,
+        url,
+        cam,
+        cutoff,
+      );
+      console.log(
+        `[VpartIndex] ${url} cam ${cam}: dropped ${changes} overwritten vpart(s) before ${new Date(cutoff * 1000).toISOString()}`,
+      );
+    }
+  }
+}
+
+export default VpartIndex;
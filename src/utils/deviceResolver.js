@@ -0,0 +1,63 @@
+import { getDb } from "../../db.js";
+
+/**
+ * Base URL for a device row. ip_address may be a bare IP ("192.168.1.50")
+ * or a full VPN tunnel URL ("https://frontgate.kamsware.kamsguard.com").
+ */
+export function deviceBaseUrl(device) {
+  const address = device.ip_address.trim().replace(/\/$/, "");
+  if (address.startsWith("http://") || address.startsWith("https://"))
+    return address;
+  return `http://${address}`;
+}
+
+/**
+ * Live stream format for a device type.
+ * Multidetectors serve H.264, NVRs and gateways serve MJPEG.
+ */
+export function liveFormatFor(deviceType) {
+  return deviceType === "multidetector" ? "h264" : "mjpeg";
+}
+
+// Address without scheme or trailing slash, for comparing device URLs
+function addressKey(address) {
+  return address
+    .trim()
+    .replace(/^[a-zA-Z][a-zA-Z0-9+.-]*:\/\//, "")
+    .replace(/\/$/, "")
+    .toLowerCase();
+}
+
+/**
+ * Stream quota overrides stored on the device at `address` (a device URL
+ * or bare ip_address). Limits left unset are null, meaning the device
+ * type's default. Returns null when no device has that address.
+ */
+export async function deviceQuotaFor(address) {
+  const db = await getDb();
+  const devices = await db.all("SELECT * FROM devices");
+  const device = devices.find((d) => addressKey(d.ip_address) === addressKey(address));
+  if (!device) return null;
+  return {
+    deviceId: device.id,
+    deviceType: device.device_type || "nvr",
+    live: device.max_live_streams,
+    replay: device.max_replay_streams,
+    perCamera: device.max_streams_per_camera,
+  };
+}
+
+/**
+ * Look up a device by id. Returns null if it does not exist.
+ * The returned row carries a resolved `url` alongside the stored columns.
+ */
+export async function resolveDevice(deviceId) {
+  const db = await getDb();
+  const device = await db.get("SELECT * FROM devices WHERE id = ?", deviceId);
+  if (!device) return null;
+  return {
+    ...device,
+    device_type: device.device_type || "nvr",
+    url: deviceBaseUrl(device),
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * H.264 stream sync
+ *
+ * A shared live H.264 stream is joined mid-GOP, and FFmpeg cannot decode
+ * frames that come before the stream parameters (or refuses the input
+ * outright). Cameras send SPS, PPS and the IDR frame together, so a
+ * consumer holds its input back until the first SPS and starts there.
+ */
+
+// Offset of the first SPS NAL unit's start code in buf, or -1
+export function spsOffset(buf) {
+  for (let i = buf.indexOf(0x01, 2); i !== -1 && i + 1 < buf.length; i = buf.indexOf(0x01, i + 1)) {
+    if (buf[i - 1] === 0 && buf[i - 2] === 0 && (buf[i + 1] & 0x1f) === 7) {
+      return i >= 3 && buf[i - 3] === 0 ? i - 3 : i - 2;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Sync state for one consumer. The returned function takes each chunk and
+ * gives back what to pass on: null until an SPS arrives, then the data
+ * from that SPS on, then every chunk unchanged. The tail of each chunk
+ * is kept while waiting in case a start code straddles two chunks.
+ */
+export function createH264Sync() {
+  let synced = false;
+  let carry = null;
+
+  return (data) => {
+    if (synced) return data;
+    const carried = carry ? Buffer.concat([carry, data]) : data;
+    const at = spsOffset(carried);
+    if (at === -1) {
+      carry = carried.subarray(-4);
+      return null;
+    }
+    synced = true;
+    carry = null;
+    return carried.subarray(at);
+  };
+}
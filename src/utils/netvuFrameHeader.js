@@ -0,0 +1,143 @@
+/**
+ * NetVu frame headers
+ *
+ * NetVu devices describe every JPEG they send in one or both of:
+ *
+ *  - the JFIF comment (COM, 0xFFFE) — "Key: value" lines such as
+ *      Number: 3 / Name: Gate 3 / Date: 21/09/2026 / Time: 14:13:20 /
+ *      MSEC: 200 / Locale: UTC / UTCoffset: 60 / Alarm-mask: 1
+ *    Date and Time are local to the device; UTCoffset is in minutes.
+ *
+ *  - a binary NetVuImageData block in front of the JPEG (ADH binary
+ *    streams), big-endian, starting with the magic 0xDECADE10/0xDECADE11.
+ *    session_time is UTC seconds.
+ *
+ * parseFrameHeader() merges both. Fields the comment carries win, since the
+ * comment travels inside the JPEG and cannot be detached from it.
+ */
+
+const IMAGE_DATA_MAGIC = [0xdecade10, 0xdecade11];
+const IMAGE_DATA_SIZE = 168;
+const TITLE_LENGTH = 30;
+
+function cString(buf, start, length) {
+  const raw = buf.toString("latin1", start, start + length);
+  const nul = raw.indexOf("\0");
+  return (nul === -1 ? raw : raw.slice(0, nul)).trim();
+}
+
+/**
+ * Key/value lines of the JFIF comment of a JPEG, or null if it has none.
+ */
+export function readComment(frame) {
+  let i = 2;
+  while (i + 4 <= frame.length && frame[i] === 0xff) {
+    const marker = frame[i + 1];
+    if (marker === 0xda) break; // start of scan — no more headers
+    const length = frame.readUInt16BE(i + 2);
+    if (marker === 0xfe) {
+      const fields = {};
+      frame
+        .toString("latin1", i + 4, Math.min(i + 2 + length, frame.length))
+        .split(/\r?\n/)
+        .forEach((line) => {
+          const colon = line.indexOf(":");
+          if (colon > 0) fields[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+        });
+      return fields;
+    }
+    i += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Header fields from the JFIF comment, or null.
+ */
+export function parseCommentHeader(frame) {
+  const fields = readComment(frame);
+  if (!fields) return null;
+
+  const header = { source: "comment" };
+  if (fields.Number !== undefined) header.camera = parseInt(fields.Number);
+  if (fields.Name !== undefined) header.title = fields.Name;
+  if (fields.Locale !== undefined) header.locale = fields.Locale;
+
+  const offset = parseInt(fields.UTCoffset ?? 0) || 0;
+  if (fields.UTCoffset !== undefined) header.utcOffset = offset;
+
+  const date = (fields.Date || "").match(/^(\d+)\/(\d+)\/(\d+)$/);
+  const time = (fields.Time || "").match(/^(\d+):(\d+):(\d+)$/);
+  if (date && time) {
+    const msec = parseInt(fields.MSEC ?? 0) || 0;
+    const local = Date.UTC(date[3], date[2] - 1, date[1], time[1], time[2], time[3]);
+    header.time = (local + msec) / 1000 - offset * 60;
+  }
+
+  if (fields["Alarm-mask"] !== undefined) {
+    header.alarm = {
+      mask: Number(fields["Alarm-mask"]) || 0,
+      text: fields["Alarm-text"] || "",
+    };
+  }
+  // A comment from another encoder ("Lavc58…") says nothing about the frame
+  return Object.keys(header).length > 1 ? header : null;
+}
+
+/**
+ * Decode a NetVuImageData block starting at `offset`, or null if the magic
+ * does not match or the buffer is too short.
+ */
+export function parseImageData(buf, offset = 0) {
+  if (offset + IMAGE_DATA_SIZE > buf.length) return null;
+  const version = buf.readUInt32BE(offset);
+  if (!IMAGE_DATA_MAGIC.includes(version)) return null;
+
+  const at = (n) => offset + n;
+  const maskHi = buf.readUInt32BE(at(36));
+  const maskLo = buf.readUInt32BE(at(164));
+  const sessionTime = buf.readUInt32BE(at(44));
+  const milliseconds = buf.readUInt32BE(at(48));
+
+  return {
+    source: "adh",
+    version,
+    camera: buf.readInt32BE(at(8)),
+    size: buf.readInt32BE(at(20)),
+    time: sessionTime + (milliseconds % 1000) / 1000,
+    title: cString(buf, at(56), TITLE_LENGTH),
+    alarm: {
+      mask: maskHi * 2 ** 32 + maskLo,
+      text: cString(buf, at(86), TITLE_LENGTH),
+    },
+    width: buf.readInt16BE(at(116 + 4)),
+    height: buf.readInt16BE(at(116 + 6)),
+    locale: cString(buf, at(128), TITLE_LENGTH),
+    utcOffset: buf.readInt32BE(at(160)),
+  };
+}
+
+/**
+ * Everything known about one frame. `prefix` is whatever the stream carried
+ * between the previous frame and this one; the last NetVuImageData block in
+ * it belongs to this frame. Returns null when neither source is present.
+ */
+export function parseFrameHeader(frame, prefix = null) {
+  let binary = null;
+  if (prefix && prefix.length >= IMAGE_DATA_SIZE) {
+    for (let i = prefix.length - IMAGE_DATA_SIZE; i >= 0 && !binary; i--) {
+      if (prefix[i] === 0xde) binary = parseImageData(prefix, i);
+    }
+  }
+
+  const comment = parseCommentHeader(frame);
+  if (!binary && !comment) return null;
+  if (!binary) return comment;
+  if (!comment) return binary;
+
+  const header = { ...binary, ...comment, source: "adh+comment" };
+  header.alarm = comment.alarm ?? binary.alarm;
+  return header;
+}
+
+export default parseFrameHeader;
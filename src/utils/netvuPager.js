@@ -0,0 +1,183 @@
+/**
+ * NetVu listing pager
+ *
+ * vparts.cgi and events.cgi return at most `listlength` rows per request,
+ * so a busy camera over a long window does not fit in one page. The pager
+ * keeps asking from the time of the last row it got until a short page
+ * comes back or the rows pass the end of the window. Rows repeated at page
+ * boundaries (the cursor row itself) are dropped.
+ *
+ * Listings carry `complete: false` when the page limit was hit or the
+ * device stopped making progress, so callers can say the result is partial.
+ */
+
+import path from "path";
+import { netVuHttpGet } from "./netvuClient.js";
+import { buildDeviceUrl, isValidVpartPath } from "./urlHelpers.js";
+
+const VPARTS_PAGE_SIZE = 100;
+const EVENTS_PAGE_SIZE = 1000;
+const MAX_PAGES = 50;
+
+function csvLines(data) {
+  return data.split("\n").filter((l) => l.trim());
+}
+
+export async function pageThrough({ label, start, end, pageSize, maxPages, fetchPage, parseRow, keyOf, timeOf }) {
+  const rows = new Map();
+  let cursor = start;
+  let pages = 0;
+  let complete = false;
+
+  while (pages < maxPages) {
+    const lines = await fetchPage(cursor);
+    pages++;
+
+    let added = 0;
+    let last = cursor;
+    for (const line of lines) {
+      const row = parseRow(line);
+      if (!row) continue;
+      last = Math.max(last, timeOf(row));
+      if (rows.has(keyOf(row))) continue;
+      rows.set(keyOf(row), row);
+      added++;
+    }
+
+    if (lines.length < pageSize || last >= end) {
+      complete = true;
+      break;
+    }
+    // A full page of rows at one timestamp cannot be paged past
+    if (added === 0 || last <= cursor) break;
+    cursor = last;
+  }
+
+  if (!complete) {
+    console.warn(
+      `[NetVuPager] ${label}: listing incomplete after ${pages} page(s), stopped at ${new Date(cursor * 1000).toISOString()}`,
+    );
+  } else if (pages > 1) {
+    console.log(`[NetVuPager] ${label}: ${rows.size} rows in ${pages} pages`);
+  }
+
+  return { rows: Array.from(rows.values()).sort((a, b) => timeOf(a) - timeOf(b)), complete, pages };
+}
+
+/**
+ * Vpart entry as listed by the API, from its device path and start/end
+ * times (UTC seconds).
+ */
+export function vpartEntry(vpartPath, start, end) {
+  const normalized = vpartPath.replace(/\\/g, "/");
+  return {
+    path: normalized,
+    filename: path.basename(normalized),
+    start,
+    end,
+    duration: end - start,
+    startDate: new Date(start * 1000).toISOString(),
+    endDate: new Date(end * 1000).toISOString(),
+  };
+}
+
+export function parseVpart(line) {
+  const parts = line.split(",").map((p) => p.trim());
+  if (parts.length < 6) return null;
+
+  const vpartPath = parts[3];
+  const vpartStartTime = Number(parts[4]);
+  const vpartEndTime = Number(parts[5]);
+  const vpartDuration = vpartEndTime - vpartStartTime;
+
+  if (isNaN(vpartStartTime) || isNaN(vpartEndTime) || isNaN(vpartDuration)) return null;
+  if (!isValidVpartPath(vpartPath)) return null;
+
+  return vpartEntry(vpartPath, vpartStartTime, vpartEndTime);
+}
+
+function parseEvent(line) {
+  const parts = line.split(",");
+  if (parts.length < 7 || parts[2] === "No matching records") return null;
+
+  const event = {
+    id: Number(parts[0]),
+    cam: Number(parts[1]),
+    description: parts[2].trim(),
+    time: Number(parts[3]),
+    duration: Number(parts[4]),
+    range: Number(parts[5]),
+    exists: parts[6].trim(),
+  };
+  if (isNaN(event.id) || isNaN(event.time)) return null;
+  return event;
+}
+
+/**
+ * Every vpart of `cam` overlapping [startTime, endTime], oldest first.
+ * Resolves with { vparts, complete, pages }.
+ */
+export async function listVparts(deviceUrl, cam, startTime, endTime, options = {}) {
+  const pageSize = options.pageSize || VPARTS_PAGE_SIZE;
+  const { rows, complete, pages } = await pageThrough({
+    label: `vparts cam ${cam}`,
+    start: startTime,
+    end: endTime,
+    pageSize,
+    maxPages: options.maxPages || MAX_PAGES,
+    fetchPage: async (cursor) => {
+      const url = buildDeviceUrl(
+        deviceUrl,
+        `/vparts.cgi?format=csv&listlength=${pageSize}&pathstyle=long&time=${cursor}&range=${endTime - cursor}&domain=0&cam=${cam}`,
+      );
+      const response = await netVuHttpGet(url, 500, 30000);
+      return csvLines(response.data);
+    },
+    parseRow: parseVpart,
+    keyOf: (vpart) => vpart.path,
+    timeOf: (vpart) => vpart.start,
+  });
+  return { vparts: rows, complete, pages };
+}
+
+/**
+ * Every event of the device from startTime on, up to endTime, oldest first.
+ * Rows past endTime on the last page are included; callers filter them.
+ * Resolves with { events, complete, pages }.
+ */
+export async function listEvents(deviceUrl, startTime, endTime, options = {}) {
+  const pageSize = options.pageSize || EVENTS_PAGE_SIZE;
+  const { rows, complete, pages } = await pageThrough({
+    label: "events",
+    start: startTime,
+    end: endTime,
+    pageSize,
+    maxPages: options.maxPages || MAX_PAGES,
+    fetchPage: async (cursor) => {
+      const url = buildDeviceUrl(
+        deviceUrl,
+        `/events.cgi?format=csv&time=${cursor}&listlength=${pageSize}`,
+      );
+      const response = await netVuHttpGet(url, 500, 10000);
+      return csvLines(response.data);
+    },
+    parseRow: parseEvent,
+    keyOf: (event) => event.id,
+    timeOf: (event) => event.time,
+  });
+  return { events: rows, complete, pages };
+}
+
+/**
+ * The events events.cgi lists for a relative listlength (negative counts
+ * back from `time`). One request: the device bounds the count itself.
+ */
+export async function listLatestEvents(deviceUrl, time, listlength) {
+  const url = buildDeviceUrl(
+    deviceUrl,
+    `/events.cgi?format=csv&time=${time}&listlength=${listlength}`,
+  );
+  const response = await netVuHttpGet(url, 500, 10000);
+  const events = csvLines(response.data).map(parseEvent).filter(Boolean);
+  return { events, complete: true, pages: 1 };
+}
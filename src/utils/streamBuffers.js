@@ -0,0 +1,60 @@
+/**
+ * Stream buffers
+ *
+ * Byte handling shared by everything that sits on a pipe: splitting a
+ * JPEG byte stream (device multipart, FFmpeg image2pipe) into frames, and
+ * feeding FFmpeg's stdin without letting a slow encoder grow Node's
+ * buffer without bound.
+ */
+
+const JPEG_SOI = Buffer.from([0xff, 0xd8]);
+const JPEG_EOI = Buffer.from([0xff, 0xd9]);
+
+// Tail kept while no frame start is in sight — enough for the NetVu
+// header in front of the next frame
+const FRAME_PREFIX_KEEP = 1024;
+
+/**
+ * Append a chunk to holder.buffer and hand every complete JPEG (SOI
+ * 0xFF 0xD8 … EOI 0xFF 0xD9) to onFrame, together with the bytes in front
+ * of it (ADH separators, NetVuImageData). A holder whose buffer is set to
+ * null — its stream stopped, possibly from inside onFrame — takes no more.
+ */
+export function extractJpegFrames(holder, chunk, onFrame) {
+  if (!holder.buffer) return;
+  holder.buffer = Buffer.concat([holder.buffer, chunk]);
+
+  let start = holder.buffer.indexOf(JPEG_SOI);
+  let end = holder.buffer.indexOf(JPEG_EOI, start + 2);
+
+  while (start !== -1 && end !== -1) {
+    const prefix = holder.buffer.slice(0, start);
+    const frame = holder.buffer.slice(start, end + 2);
+    holder.buffer = holder.buffer.slice(end + 2);
+    onFrame(frame, prefix);
+    if (!holder.buffer) return;
+
+    start = holder.buffer.indexOf(JPEG_SOI);
+    end = holder.buffer.indexOf(JPEG_EOI, start + 2);
+  }
+
+  if (start === -1 && holder.buffer.length > FRAME_PREFIX_KEEP) {
+    holder.buffer = holder.buffer.slice(-FRAME_PREFIX_KEEP);
+  }
+}
+
+/**
+ * Write data to job.ffmpeg.stdin, counting it in job.written. When FFmpeg
+ * is not keeping up (more than maxBufferedBytes queued) or stdin has
+ * closed, the data is dropped and counted in job.dropped instead.
+ */
+export function writeOrDrop(job, data, maxBufferedBytes) {
+  const stdin = job.ffmpeg.stdin;
+  if (!stdin.writable || stdin.writableLength > maxBufferedBytes) {
+    job.dropped++;
+    return false;
+  }
+  stdin.write(data);
+  job.written++;
+  return true;
+}
@@ -2,6 +2,11 @@ export function buildDeviceUrl(deviceUrl, path) {
   return `${deviceUrl.replace(/\/$/, "")}${path}`;
 }
 
+// Device URL as the vparts cache stores it
+export function normalizeDeviceUrl(deviceUrl) {
+  return deviceUrl.trim().replace(/\/$/, "");
+}
+
 export function sanitizeUrlForLogging(url) {
   try {
     const u = new URL(url);
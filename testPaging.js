@@ -0,0 +1,107 @@
+// testPaging.js — offline checks for listing pages, cache windows and coverage
+//
+// Runs without a device: canned vparts.cgi pages go through the pager.
+//   node testPaging.js
+import { pageThrough, parseVpart } from "./src/utils/netvuPager.js";
+import { uncovered } from "./src/services/vpartIndex.js";
+import { buildCoverage } from "./src/routes/vparts.js";
+
+const T0 = 1790000000;
+let failures = 0;
+
+function check(name, actual, expected) {
+  const ok = JSON.stringify(actual) === JSON.stringify(expected);
+  if (!ok) failures++;
+  console.log(`${ok ? "✅" : "❌"} ${name}`);
+  if (!ok) console.log(`   expected ${JSON.stringify(expected)}\n   got      ${JSON.stringify(actual)}`);
+}
+
+// vparts of `count` files of `length` seconds, `step` seconds apart
+function recording(count, { length = 600, step = length } = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    path: `/vparts/cam1/${String(i).padStart(4, "0")}.PAR`,
+    start: T0 + i * step,
+    end: T0 + i * step + length,
+  }));
+}
+
+// Like the device: the first pageSize vparts still running at the cursor,
+// so the one the cursor is in comes back at the top of the next page
+async function page(vparts, { end, pageSize }) {
+  const fetched = [];
+  const result = await pageThrough({
+    label: "check",
+    start: T0,
+    end,
+    pageSize,
+    maxPages: 50,
+    fetchPage: async (cursor) => {
+      fetched.push(cursor);
+      return vparts
+        .filter((v) => v.end > cursor)
+        .slice(0, pageSize)
+        .map((v, i) => `${i},1,0,${v.path},${v.start},${v.end}`);
+    },
+    parseRow: parseVpart,
+    keyOf: (vpart) => vpart.path,
+    timeOf: (vpart) => vpart.start,
+  });
+  return { ...result, fetched };
+}
+
+console.log("=== pageThrough ===");
+{
+  const vparts = recording(10);
+  const { rows, complete, pages } = await page(vparts, { end: T0 + 6000, pageSize: 4 });
+  check("boundary row repeated across pages is listed once", rows.map((r) => r.path), vparts.map((v) => v.path));
+  check("boundary row repeated across pages: complete", { complete, pages }, { complete: true, pages: 4 });
+}
+{
+  const vparts = recording(5, { step: 0 }).map((v, i) => ({ ...v, end: v.end + i }));
+  const { rows, complete, pages } = await page(vparts, { end: T0 + 3600, pageSize: 3 });
+  check("full page at one timestamp stops as incomplete", { rows: rows.length, complete, pages }, { rows: 3, complete: false, pages: 1 });
+}
+{
+  const vparts = recording(6);
+  const { rows, complete, fetched } = await page(vparts, { end: T0 + 3600, pageSize: 4 });
+  check("short final page completes the listing", { rows: rows.length, complete }, { rows: 6, complete: true });
+  check("short final page: next page asked from the last start", fetched, [T0, T0 + 1800]);
+}
+
+console.log("\n=== uncovered ===");
+const windows = (...spans) => spans.map(([start_time, end_time]) => ({ start_time, end_time }));
+check("no windows", uncovered([], 0, 100), [{ start: 0, end: 100 }]);
+check("window inside the range", uncovered(windows([20, 40]), 0, 100), [
+  { start: 0, end: 20 },
+  { start: 40, end: 100 },
+]);
+check("overlapping windows", uncovered(windows([0, 30], [20, 50], [70, 90]), 10, 80), [{ start: 50, end: 70 }]);
+check("range fully covered", uncovered(windows([0, 100]), 10, 90), []);
+check("windows past the range", uncovered(windows([150, 200]), 0, 100), [{ start: 0, end: 100 }]);
+
+console.log("\n=== buildCoverage ===");
+{
+  const vparts = [
+    { start: T0 - 300, end: T0 + 600 },
+    { start: T0 + 602, end: T0 + 1200 },
+    { start: T0 + 1800, end: T0 + 4000 },
+  ];
+  const coverage = buildCoverage(vparts, T0, T0 + 3600, 5);
+  check("short holes merged, vparts clipped to the window", coverage.intervals, [
+    { start: T0, end: T0 + 1200, duration: 1200 },
+    { start: T0 + 1800, end: T0 + 3600, duration: 1800 },
+  ]);
+  check("gap between recordings", coverage.gaps, [{ start: T0 + 1200, end: T0 + 1800, duration: 600 }]);
+  check("recorded share", [coverage.recordedSeconds, coverage.recordedPercent], [3000, 83.33]);
+}
+{
+  const coverage = buildCoverage([], T0, T0 + 60, 5);
+  check("nothing recorded", [coverage.intervals, coverage.gaps, coverage.recordedPercent], [
+    [],
+    [{ start: T0, end: T0 + 60, duration: 60 }],
+    0,
+  ]);
+}
+
+console.log(failures ? `\n❌ ${failures} check(s) failed` : "\n✅ All checks passed");
+process.exitCode = failures ? 1 : 0;